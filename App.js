@@ -1,112 +1,361 @@
-import React, { useState, useEffect } from 'react';
-import { StyleSheet, View, Text, TouchableOpacity, StatusBar } from 'react-native';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { StyleSheet, View, Text, TouchableOpacity, StatusBar, AccessibilityInfo, Platform, Alert, Share } from 'react-native';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
+import { router } from 'expo-router';
 import Game from './components/Game';
-import { Audio } from 'expo-av';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import ModeSelect from './components/ModeSelect';
+import Leaderboard from './components/Leaderboard';
+import NameEntry from './components/NameEntry';
+import ReplayViewer from './components/ReplayViewer';
+import { useSettings } from './components/SettingsContext';
+import { DEFAULT_MODE, getMode } from './game/modes';
+import { qualifies, addEntry, entryFromResult, entriesFor, highScoresFrom } from './lib/leaderboard';
+import { saveStore } from './lib/storage';
+import {
+  createReplayId, saveReplay, loadReplay, bestReplayFor, saveSuspendedRecording, loadSuspendedRecording,
+  clearSuspendedRecording, SUSPENDED_RECORDING_ID,
+} from './lib/replays';
+import { createChallenge, dayKey } from './game/challenges';
+import { recordChallenge, sanitizeProgress, currentStreak, defaultProgress } from './lib/challenges';
+import { buildChallengeLink } from './lib/challengeLinks';
+import { audio } from './lib/audio';
 
-export default function App() {
-  const [gameStarted, setGameStarted] = useState(false);
-  const [highScore, setHighScore] = useState(0);
-  const backgroundMusic = React.useRef(null);
+const LIVES = 3;
+// Lets the game's own game-over announcement finish first
+const HIGH_SCORE_ANNOUNCE_DELAY_MS = 1500;
+// Fixed parts of a run: seed and levels (null for random seeds and the stock
+// levels), lives (undefined leaves it to the lives toggle), the
+// challenge being played, if any, a target score from a challenge link and
+// the dayKey() the run started on
+const FREE_RUN = { seed: null, levels: null, lives: undefined, challenge: null, target: null, startedOn: null };
+
+// link: a challenge link opened from outside the app, as parseChallengeLink()
+// returns it; each new link starts its run
+export default function App({ link }) {
+  const [screen, setScreen] = useState('start'); // 'start' | 'modes' | 'leaderboard' | 'game'
+  const [mode, setMode] = useState(DEFAULT_MODE);
+  const [stressMode, setStressMode] = useState(false);
+  const [setup, setSetup] = useState(FREE_RUN);
+  // Best replay on that seed, raced as a ghost
+  const [ghost, setGhost] = useState(null);
+  // Bumped for every run started from outside the game, to remount it
+  const [runId, setRunId] = useState(0);
+  const [livesMode, setLivesMode] = useState(false);
+  const [board, setBoard] = useState({});
+  const [lastName, setLastName] = useState('');
+  // Finished run waiting for a name before it goes on the board
+  const [pendingEntry, setPendingEntry] = useState(null);
+  const [highlightId, setHighlightId] = useState(null);
+  // Snapshot of a run interrupted last session, and the one being resumed now
+  const [suspendedRun, setSuspendedRun] = useState(null);
+  const [resumeSnapshot, setResumeSnapshot] = useState(null);
+  // Replay open in the viewer, drawn over the current screen
+  const [watching, setWatching] = useState(null);
+  const [progress, setProgress] = useState(defaultProgress);
+  const highScores = highScoresFrom(board);
+  const gameStarted = screen === 'game';
+  const { settings } = useSettings();
 
-  // Play background music only while in gameplay (not on start or end screens)
   useEffect(() => {
-    let cancelled = false;
-    const ensureStopped = async () => {
-      if (backgroundMusic.current) {
-        try { await backgroundMusic.current.stopAsync(); } catch {}
-        try { await backgroundMusic.current.unloadAsync(); } catch {}
-        backgroundMusic.current = null;
-      }
-    };
-    const maybeStart = async () => {
-      if (!gameStarted) {
-        await ensureStopped();
-        return;
-      }
-      try {
-        await Audio.setAudioModeAsync({ playsInSilentModeIOS: true });
-        let soundModule;
-        try {
-          soundModule = require('./assets/sounds/background.mp3');
-        } catch (e) {
-          soundModule = require('./assets/sounds/background.wav');
-        }
-        const { sound } = await Audio.Sound.createAsync(soundModule, {
-          volume: 0.6,
-          isLooping: true,
-        });
-        if (cancelled) { try { await sound.unloadAsync(); } catch {}; return; }
-        backgroundMusic.current = sound;
-        await sound.playAsync();
-      } catch (error) {
-        console.warn('Background music not available:', error?.message || String(error));
-      }
-    };
-    maybeStart();
-    return () => { cancelled = true; };
+    audio.preload();
+  }, []);
+
+  useEffect(() => {
+    audio.setVolumes({ music: settings.musicVolume, sfx: settings.sfxVolume });
+  }, [settings.musicVolume, settings.sfxVolume]);
+
+  // Menu music outside a run; Game switches tracks itself as runs end and restart
+  useEffect(() => {
+    audio.playMusic(gameStarted ? 'game' : 'menu');
   }, [gameStarted]);
 
-  // Load high score from storage
+  // Load save data; the store migrates anything older, including the old HIGH_SCORE key
   useEffect(() => {
     (async () => {
       try {
-        const raw = await AsyncStorage.getItem('HIGH_SCORE');
-        if (raw != null) {
-          const parsed = JSON.parse(raw);
-          if (typeof parsed === 'number' && !Number.isNaN(parsed)) {
-            setHighScore(parsed);
-          }
-        }
+        const data = await saveStore.load();
+        setBoard(data.leaderboard);
+        setLastName(data.profile.lastName);
+        setSuspendedRun(data.suspendedRun);
+        setProgress(sanitizeProgress(data.challenges));
       } catch (e) {
-        console.warn('Failed to load high score:', e?.message || String(e));
+        console.warn('Failed to load save data:', e?.message || String(e));
       }
     })();
   }, []);
 
-  const handleGameOver = (score) => {
-    // Stop background music on end screen
-    if (backgroundMusic.current) {
-      try { backgroundMusic.current.stopAsync(); } catch {}
-      try { backgroundMusic.current.unloadAsync(); } catch {}
-      backgroundMusic.current = null;
+  const openSettings = () => router.push('/settings');
+
+  const clearSuspendedRun = () => {
+    setSuspendedRun(null);
+    saveStore.update(data => ({ ...data, suspendedRun: null }));
+    clearSuspendedRecording();
+  };
+
+  const startGame = async (id, { stress = false, ...fixed } = {}) => {
+    if (suspendedRun) clearSuspendedRun();
+    const next = { ...FREE_RUN, ...fixed, startedOn: dayKey() };
+    const best = next.seed !== null && settings.ghost && bestReplayFor(saveStore.get().replays, id, next.seed);
+    setGhost(best ? await loadReplay(best.id) : null);
+    setResumeSnapshot(null);
+    setMode(id);
+    setSetup(next);
+    setStressMode(stress);
+    setWatching(null);
+    setRunId(n => n + 1);
+    setScreen('game');
+  };
+
+  // Play a replay's run again, against the best run on it
+  const raceReplay = (replay) =>
+    startGame(replay.mode, { seed: replay.seed, levels: replay.levels, lives: replay.lives });
+
+  // Built on the spot so a challenge started after midnight is the new day's
+  const startChallenge = (kind) => {
+    const challenge = createChallenge(kind);
+    startGame(challenge.mode, {
+      seed: challenge.seed,
+      levels: challenge.levels,
+      lives: challenge.lives,
+      challenge,
+    });
+  };
+
+  // Links start their run once, when they arrive. startGame changes with the
+  // save data and settings, so the effect reads the latest one through a ref
+  // rather than re-running, which would restart the run.
+  const latestStartGame = useRef(startGame);
+  latestStartGame.current = startGame;
+  useEffect(() => {
+    if (!link) return;
+    latestStartGame.current(link.mode, {
+      seed: link.seed,
+      levels: link.challenge?.levels ?? null,
+      lives: link.lives,
+      challenge: link.challenge,
+      target: link.target,
+    });
+  }, [link]);
+
+  // Opens the share sheet with a link to the finished run's seed and ruleset
+  const challengeFriend = async ({ score, ...run }) => {
+    const url = buildChallengeLink({ ...run, target: score, challenge: setup.challenge });
+    try {
+      await Share.share({ message: `Can you beat my ${score} in Color Dash? ${url}` });
+    } catch (e) {
+      console.warn('Failed to share challenge link:', e?.message || String(e));
     }
-    if (score > highScore) {
-      setHighScore(score);
-      // Persist new high score
-      (async () => {
-        try {
-          await AsyncStorage.setItem('HIGH_SCORE', JSON.stringify(score));
-        } catch (e) {
-          console.warn('Failed to persist high score:', e?.message || String(e));
-        }
-      })();
+  };
+
+  const resumeGame = async () => {
+    const recording = suspendedRun.recordingId ? await loadSuspendedRecording() : null;
+    setResumeSnapshot({ ...suspendedRun, recording });
+    setMode(suspendedRun.state.mode);
+    // Seed, levels, lives, target and challenge carry over, so the target
+    // stays up and restarting replays the same run
+    setSetup({ ...FREE_RUN, ...suspendedRun.setup });
+    setGhost(null);
+    setRunId(n => n + 1);
+    setStressMode(false);
+    setScreen('game');
+  };
+
+  // Written straight away: the OS may kill a backgrounded app at any moment.
+  // The recording can be large, so it goes under its own key, first, and the
+  // save document only refers to it.
+  const handleSuspend = useCallback(async ({ recording, ...snapshot }) => {
+    const recordingId = recording && (await saveSuspendedRecording(recording)) ? SUSPENDED_RECORDING_ID : null;
+    const saved = { ...snapshot, recordingId, setup, savedAt: new Date().toISOString() };
+    setSuspendedRun(saved);
+    saveStore.update(data => ({ ...data, suspendedRun: saved }));
+    saveStore.flush();
+  }, [setup]);
+
+  const handleGameOver = (result, replay) => {
+    if (stressMode) return;
+    let replayId = null;
+    if (replay) {
+      replayId = createReplayId();
+      saveReplay(replayId, replay);
     }
+    setSuspendedRun(null);
+    clearSuspendedRecording();
+    saveStore.update(data => ({
+      ...data,
+      suspendedRun: null,
+      stats: {
+        runsPlayed: data.stats.runsPlayed + 1,
+        playTime: data.stats.playTime + Math.round(result.duration),
+      },
+    }));
+    // Challenges keep their own bests and stay off the mode leaderboards
+    const { challenge } = setup;
+    if (challenge) {
+      const next = recordChallenge(progress, challenge, result.score, { startedOn: setup.startedOn });
+      setProgress(next);
+      saveStore.update(data => ({ ...data, challenges: next }));
+      if (next.best[challenge.id] > (progress.best[challenge.id] ?? 0)) {
+        setTimeout(() => {
+          AccessibilityInfo.announceForAccessibility(`New best for the ${challenge.name}! ${result.score} points`);
+        }, HIGH_SCORE_ANNOUNCE_DELAY_MS);
+      }
+      return;
+    }
+    // Other runs on custom levels, like a race against a challenge replay,
+    // aren't comparable with the mode's stock levels either. The replay says
+    // which levels the run really had, whatever the setup was.
+    if (setup.levels || replay?.levels) return;
+    if (result.score > (highScores[result.mode] ?? 0)) {
+      setTimeout(() => {
+        AccessibilityInfo.announceForAccessibility(`New high score! ${result.score} points`);
+      }, HIGH_SCORE_ANNOUNCE_DELAY_MS);
+    }
+    if (qualifies(board, result.mode, result.score)) {
+      setPendingEntry({ ...result, replayId });
+    }
+  };
+
+  const watchEntry = async (entry) => {
+    const replay = await loadReplay(entry.replayId);
+    if (replay) setWatching(replay);
+    else Alert.alert('Replay unavailable', 'The replay for this run could not be loaded.');
+  };
+
+  const replayViewer = watching && (
+    <ReplayViewer replay={watching} onRace={raceReplay} onClose={() => setWatching(null)} />
+  );
+
+  const submitEntry = (name) => {
+    const result = pendingEntry;
+    const entry = entryFromResult(result, name);
+    const next = addEntry(board, result.mode, entry);
+    setBoard(next);
+    setLastName(entry.name);
+    setHighlightId(entry.id);
+    setPendingEntry(null);
+    saveStore.update(data => ({ ...data, leaderboard: next, profile: { ...data.profile, lastName: entry.name } }));
   };
 
+  // Challenges and races fix their lives; other runs follow the toggle
+  const toggledLives = livesMode && !stressMode && getMode(mode).allowLives ? LIVES : null;
+  const runLives = setup.lives === undefined ? toggledLives : setup.lives;
+
+  if (screen === 'leaderboard') {
+    return (
+      <GestureHandlerRootView style={{ flex: 1 }}>
+        <StatusBar hidden />
+        <Leaderboard
+          board={board}
+          initialMode={mode}
+          highlightId={highlightId}
+          onWatch={watchEntry}
+          onBack={() => setScreen('start')}
+        />
+        {replayViewer}
+      </GestureHandlerRootView>
+    );
+  }
+
+  if (screen === 'modes') {
+    return (
+      <GestureHandlerRootView style={{ flex: 1 }}>
+        <StatusBar hidden />
+        <ModeSelect
+          highScores={highScores}
+          challenges={['daily', 'weekly'].map(kind => {
+            const challenge = createChallenge(kind);
+            return { ...challenge, best: progress.best[challenge.id] ?? null };
+          })}
+          streak={currentStreak(progress.streak, dayKey())}
+          onSelect={(id) => startGame(id)}
+          onChallenge={startChallenge}
+          onBack={() => setScreen('start')}
+        />
+      </GestureHandlerRootView>
+    );
+  }
+
   if (!gameStarted) {
     return (
       <GestureHandlerRootView style={{ flex: 1 }}>
         <View style={styles.container}>
           <StatusBar hidden />
-          <Text style={styles.title}>Color Dash</Text>
+          <Text style={styles.title} accessibilityRole="header">Color Dash</Text>
           <Text style={styles.subtitle}>Match the colors to score points!</Text>
-          <Text style={styles.highScore}>High Score: {highScore}</Text>
+          <Text style={styles.highScore}>High Score: {highScores[DEFAULT_MODE] ?? 0}</Text>
           
           <View style={styles.instructions}>
             <Text style={styles.instructionText}>• Swipe left/right to move</Text>
             <Text style={styles.instructionText}>• Tap 'Change Color' to match the falling blocks</Text>
             <Text style={styles.instructionText}>• Match colors to score points</Text>
             <Text style={styles.instructionText}>• Don't hit the wrong color!</Text>
+            <Text style={styles.instructionText}>• Grab power-ups: 🛡️ shield, ⏳ slow-mo, 🧲 magnet, 🌈 rainbow</Text>
+            {Platform.OS === 'web' && (
+              <Text style={styles.instructionText}>
+                • Keyboard: ←/→ or A/D to move, Space or ↑/↓ to change color, 1-4 to pick one, Esc to pause, Enter to continue
+              </Text>
+            )}
           </View>
 
           <TouchableOpacity
+            accessibilityRole="switch"
+            accessibilityLabel="Lives mode"
+            accessibilityState={{ checked: livesMode }}
+            style={styles.toggleButton}
+            onPress={() => setLivesMode(on => !on)}
+          >
+            <Text style={styles.toggleButtonText}>
+              {livesMode ? `Lives: ${LIVES} ❤️` : 'Lives: Off (one hit)'}
+            </Text>
+          </TouchableOpacity>
+
+          {suspendedRun && (
+            <TouchableOpacity
+              accessibilityRole="button"
+              accessibilityLabel={`Resume run: ${getMode(suspendedRun.state.mode).name}, level ${suspendedRun.state.level}, ${suspendedRun.state.score} points`}
+              style={styles.resumeButton}
+              onPress={resumeGame}
+            >
+              <Text style={styles.startButtonText}>Resume Run</Text>
+              <Text style={styles.resumeDetail}>
+                {getMode(suspendedRun.state.mode).name} · Level {suspendedRun.state.level} · {suspendedRun.state.score} pts
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          <TouchableOpacity
+            accessibilityRole="button"
             style={styles.startButton}
-            onPress={() => setGameStarted(true)}
+            onPress={() => setScreen('modes')}
           >
             <Text style={styles.startButtonText}>Start Game</Text>
           </TouchableOpacity>
+
+          <TouchableOpacity
+            accessibilityRole="button"
+            style={styles.secondaryButton}
+            onPress={() => setScreen('leaderboard')}
+          >
+            <Text style={styles.secondaryButtonText}>Leaderboard</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            accessibilityRole="button"
+            style={styles.secondaryButton}
+            onPress={openSettings}
+          >
+            <Text style={styles.secondaryButtonText}>Settings</Text>
+          </TouchableOpacity>
+
+          {__DEV__ && (
+            <TouchableOpacity
+              accessibilityRole="button"
+              style={styles.devButton}
+              onPress={() => startGame(DEFAULT_MODE, { stress: true })}
+            >
+              <Text style={styles.devButtonText}>Stress Test</Text>
+            </TouchableOpacity>
+          )}
         </View>
       </GestureHandlerRootView>
     );
@@ -114,7 +363,36 @@ export default function App() {
 
   return (
     <GestureHandlerRootView style={{ flex: 1 }}>
-      <Game onGameOver={handleGameOver} />
+      <Game
+        key={runId}
+        mode={mode}
+        seed={setup.seed ?? undefined}
+        levels={setup.levels ?? undefined}
+        title={setup.challenge?.name}
+        target={setup.target}
+        ghost={ghost}
+        snapshot={resumeSnapshot}
+        onGameOver={handleGameOver}
+        onSuspend={handleSuspend}
+        onSettings={openSettings}
+        onWatchReplay={setWatching}
+        onRestart={() => setSetup(current => ({ ...current, startedOn: dayKey() }))}
+        // Links carry a seed, mode, lives and challenge, not custom levels
+        onChallengeFriend={stressMode || (setup.levels && !setup.challenge) ? undefined : challengeFriend}
+        onExit={() => setScreen('start')}
+        lives={runLives}
+        stress={stressMode}
+      />
+      {pendingEntry && (
+        <NameEntry
+          score={pendingEntry.score}
+          rank={entriesFor(board, pendingEntry.mode).filter(e => e.score >= pendingEntry.score).length + 1}
+          defaultName={lastName}
+          onSubmit={submitEntry}
+          onSkip={() => setPendingEntry(null)}
+        />
+      )}
+      {replayViewer}
     </GestureHandlerRootView>
   );
 }
@@ -161,6 +439,32 @@ const styles = StyleSheet.create({
     fontSize: 16,
     marginBottom: 10,
   },
+  toggleButton: {
+    borderWidth: 2,
+    borderColor: '#4ECDC4',
+    borderRadius: 20,
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    marginBottom: 20,
+  },
+  toggleButtonText: {
+    color: '#4ECDC4',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  resumeButton: {
+    backgroundColor: '#4ECDC4',
+    paddingHorizontal: 40,
+    paddingVertical: 12,
+    borderRadius: 30,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  resumeDetail: {
+    color: 'white',
+    fontSize: 14,
+    marginTop: 2,
+  },
   startButton: {
     backgroundColor: '#e94560',
     paddingHorizontal: 40,
@@ -177,4 +481,29 @@ const styles = StyleSheet.create({
     fontSize: 22,
     fontWeight: 'bold',
   },
+  secondaryButton: {
+    marginTop: 16,
+    paddingHorizontal: 30,
+    paddingVertical: 10,
+    borderRadius: 24,
+    borderWidth: 2,
+    borderColor: '#4ECDC4',
+  },
+  secondaryButtonText: {
+    color: '#4ECDC4',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  devButton: {
+    marginTop: 20,
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  devButtonText: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 14,
+  },
 });
@@ -1,5 +1,19 @@
 import { Stack } from "expo-router";
+import { SettingsProvider } from "../components/SettingsContext";
+
+// Deep links that open on another route still get the game underneath
+export const unstable_settings = {
+  initialRouteName: "index",
+};
 
 export default function RootLayout() {
-  return <Stack />;
+  // Settings are shared by the game on the home route and the settings route
+  return (
+    <SettingsProvider>
+      <Stack>
+        <Stack.Screen name="settings" options={{ headerShown: false }} />
+        <Stack.Screen name="challenge" options={{ headerShown: false }} />
+      </Stack>
+    </SettingsProvider>
+  );
 }
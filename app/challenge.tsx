@@ -0,0 +1,71 @@
+import React, { useEffect, useMemo } from "react";
+import { StyleSheet, View, Text, TouchableOpacity } from "react-native";
+import { router, useLocalSearchParams } from "expo-router";
+import { parseChallengeLink } from "../lib/challengeLinks";
+
+// colordash://challenge?seed=...&mode=...&target=... lands here. Valid links
+// go back to the home route, which starts the run; anything else explains
+// why the link can't be played.
+export default function Challenge() {
+  const { seed, mode, target, lives, challenge } = useLocalSearchParams();
+  const { link, error } = useMemo(
+    () => parseChallengeLink({ seed, mode, target, lives, challenge }),
+    [seed, mode, target, lives, challenge]
+  );
+
+  useEffect(() => {
+    if (!link) return;
+    // Only the parameters that were given, plus `opened` so every visit is a
+    // new link, even for the same challenge
+    const params = Object.fromEntries(
+      Object.entries({ seed, mode, target, lives, challenge }).filter(([, value]) => value !== undefined)
+    );
+    router.dismissTo({ pathname: "/", params: { ...params, opened: String(Date.now()) } });
+  }, [link, seed, mode, target, lives, challenge]);
+
+  if (link) return <View style={styles.container} />;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">Challenge unavailable</Text>
+      <Text style={styles.message}>This challenge link isn’t valid. {error}</Text>
+      <TouchableOpacity accessibilityRole="button" style={styles.button} onPress={() => router.dismissTo("/")}>
+        <Text style={styles.buttonText}>Back to Color Dash</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#1a1a2e",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: "bold",
+    color: "#e94560",
+    marginBottom: 16,
+  },
+  message: {
+    fontSize: 16,
+    color: "#fff",
+    textAlign: "center",
+    maxWidth: 320,
+    marginBottom: 30,
+  },
+  button: {
+    backgroundColor: "#4ECDC4",
+    paddingHorizontal: 30,
+    paddingVertical: 12,
+    borderRadius: 24,
+  },
+  buttonText: {
+    color: "white",
+    fontSize: 18,
+    fontWeight: "bold",
+  },
+});
@@ -1,7 +1,16 @@
-import React from "react";
+import React, { useMemo } from "react";
+import { useLocalSearchParams } from "expo-router";
 import App from "../App";
+import { parseChallengeLink } from "../lib/challengeLinks";
 
 export default function Index() {
+  // A challenge link forwarded by the challenge route arrives as search params
+  const { opened, seed, mode, target, lives, challenge } = useLocalSearchParams();
+  const link = useMemo(
+    () => (opened ? parseChallengeLink({ seed, mode, target, lives, challenge }).link ?? null : null),
+    [opened, seed, mode, target, lives, challenge]
+  );
+
   // Render the main game app on the home route
-  return <App />;
+  return <App link={link} />;
 }
@@ -0,0 +1,12 @@
+import React from "react";
+import { router } from "expo-router";
+import { GestureHandlerRootView } from "react-native-gesture-handler";
+import SettingsScreen from "../components/SettingsScreen";
+
+export default function Settings() {
+  return (
+    <GestureHandlerRootView style={{ flex: 1 }}>
+      <SettingsScreen onBack={() => router.back()} />
+    </GestureHandlerRootView>
+  );
+}
@@ -0,0 +1,62 @@
+import React from 'react';
+import { StyleSheet, View, Text, TouchableOpacity } from 'react-native';
+import ColorPaletteBar from './ColorPaletteBar';
+import { HUD_FONT_SCALE } from '../game/constants';
+
+// Alternative to the pan gesture and colour cycling: step left or right and
+// pick any colour directly. Used when enabled in settings or while a screen
+// reader is running.
+// colors: the active palette; colorIndex: the player's current colour
+// onMove(direction): -1 for left, 1 for right
+export default function AssistiveControls({ colors, colorIndex, onMove, onSelectColor }) {
+  return (
+    <View style={styles.bar}>
+      <TouchableOpacity
+        accessibilityRole="button"
+        accessibilityLabel="Move left"
+        style={styles.move}
+        onPress={() => onMove(-1)}
+      >
+        <Text style={styles.moveText} maxFontSizeMultiplier={HUD_FONT_SCALE}>◀</Text>
+      </TouchableOpacity>
+      <ColorPaletteBar colors={colors} colorIndex={colorIndex} onSelect={onSelectColor} style={styles.colors} />
+      <TouchableOpacity
+        accessibilityRole="button"
+        accessibilityLabel="Move right"
+        style={styles.move}
+        onPress={() => onMove(1)}
+      >
+        <Text style={styles.moveText} maxFontSizeMultiplier={HUD_FONT_SCALE}>▶</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  bar: {
+    position: 'absolute',
+    bottom: 30,
+    left: 12,
+    right: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 8,
+    zIndex: 12,
+  },
+  move: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  moveText: {
+    color: 'white',
+    fontSize: 24,
+  },
+  colors: {
+    flex: 1,
+  },
+});
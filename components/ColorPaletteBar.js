@@ -0,0 +1,56 @@
+import React from 'react';
+import { StyleSheet, View, Text, TouchableOpacity } from 'react-native';
+import { COLOR_SYMBOLS, COLOR_SYMBOL_NAMES } from '../game/palettes';
+import { HUD_FONT_SCALE } from '../game/constants';
+
+// One segment per colour; pressing a segment switches straight to it.
+// colors: the active palette; colorIndex: the player's current colour
+// symbols: draw each colour's symbol on its segment
+export default function ColorPaletteBar({ colors, colorIndex, onSelect, symbols = true, style }) {
+  return (
+    <View style={[styles.bar, style]} accessibilityRole="radiogroup" accessibilityLabel="Player colour">
+      {colors.map((color, i) => (
+        <TouchableOpacity
+          key={i}
+          accessibilityRole="radio"
+          accessibilityLabel={`Colour ${i + 1}, ${COLOR_SYMBOL_NAMES[i]}`}
+          accessibilityState={{ checked: i === colorIndex }}
+          style={[styles.segment, { backgroundColor: color }, i === colorIndex && styles.selected]}
+          onPress={() => onSelect(i)}
+        >
+          {symbols && (
+            <Text style={styles.symbol} maxFontSizeMultiplier={HUD_FONT_SCALE}>{COLOR_SYMBOLS[i]}</Text>
+          )}
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  bar: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  segment: {
+    flex: 1,
+    minWidth: 48,
+    height: 48,
+    borderRadius: 12,
+    borderWidth: 3,
+    borderColor: 'transparent',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  selected: {
+    borderColor: 'white',
+  },
+  symbol: {
+    color: 'white',
+    fontSize: 20,
+    fontWeight: 'bold',
+    textShadowColor: 'rgba(0, 0, 0, 0.8)',
+    textShadowOffset: { width: 0, height: 0 },
+    textShadowRadius: 3,
+  },
+});
@@ -0,0 +1,54 @@
+import React, { useEffect } from 'react';
+import { StyleSheet } from 'react-native';
+import Animated, { useSharedValue, useAnimatedStyle, withTiming, runOnJS, cancelAnimation } from 'react-native-reanimated';
+
+const DURATION = 800;
+const RISE = 50;
+
+function FloatingLabel({ item, onDone, paused }) {
+  const progress = useSharedValue(0);
+
+  // Pausing holds the label where it is; resuming plays out the remainder
+  useEffect(() => {
+    if (paused) {
+      cancelAnimation(progress);
+      return;
+    }
+    progress.value = withTiming(1, { duration: DURATION * (1 - progress.value) }, (finished) => {
+      if (finished) runOnJS(onDone)(item.id);
+    });
+  }, [paused, progress, onDone, item.id]);
+
+  const style = useAnimatedStyle(() => ({
+    opacity: 1 - progress.value,
+    transform: [{ translateY: -RISE * progress.value }],
+  }));
+
+  return (
+    <Animated.Text
+      pointerEvents="none"
+      style={[styles.label, { left: item.x - 60, top: item.y - 30, color: item.color }, style]}
+    >
+      {item.text}
+    </Animated.Text>
+  );
+}
+
+// Short-lived "+N x3" style labels that drift up and fade where points landed
+export default function FloatingText({ items, onDone, paused = false }) {
+  return items.map(item => <FloatingLabel key={item.id} item={item} onDone={onDone} paused={paused} />);
+}
+
+const styles = StyleSheet.create({
+  label: {
+    position: 'absolute',
+    width: 120,
+    textAlign: 'center',
+    fontSize: 20,
+    fontWeight: 'bold',
+    textShadowColor: 'rgba(0, 0, 0, 0.6)',
+    textShadowOffset: { width: 1, height: 1 },
+    textShadowRadius: 3,
+    zIndex: 15,
+  },
+});
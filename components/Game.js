@@ -1,83 +1,277 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { StyleSheet, View, Text, TouchableOpacity, Dimensions, StatusBar } from 'react-native';
-import { GestureDetector, Gesture } from 'react-native-gesture-handler';
-import Animated, { useSharedValue, withSpring, useAnimatedStyle, withSequence, withTiming, runOnJS } from 'react-native-reanimated';
-import { Audio } from 'expo-av';
+import {
+  StyleSheet, View, Text, TouchableOpacity, StatusBar, AppState, AccessibilityInfo, useWindowDimensions,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { GestureDetector, Gesture, Directions } from 'react-native-gesture-handler';
+import Animated, {
+  useSharedValue, withSpring, useAnimatedStyle, withSequence, withTiming, withRepeat, cancelAnimation, runOnJS,
+} from 'react-native-reanimated';
 import { LinearGradient } from 'expo-linear-gradient';
-import * as Haptics from 'expo-haptics';
-
-const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
-const PLAYER_SIZE = 50;
-const OBSTACLE_WIDTH = 60;
-const COLORS = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4'];
-
-export default function Game({ onGameOver }) {
-  const playerPos = useSharedValue({ x: SCREEN_WIDTH / 2 - PLAYER_SIZE / 2, y: SCREEN_HEIGHT - 100 });
-  const playerColor = useSharedValue(0);
-  const score = useRef(0);
-  const [currentScore, setCurrentScore] = useState(0);
+import { useFocusEffect } from 'expo-router';
+import {
+  createGame, step, advanceLevel, endRun, currentLevel, snapshotGame, restoreGame, INVULNERABLE_TIME,
+} from '../game/engine';
+import { startLoop, interpolateObstacles } from '../game/loop';
+import { createRecorder, createPlayback } from '../game/replay';
+import { LEVELS } from '../game/levels';
+import { spawnBurst } from '../game/particles';
+import ObstacleLayer, { useObstacleRenderer, OBSTACLE_POOL_SIZE, STRESS_POOL_SIZE } from './ObstacleLayer';
+import ParticleLayer, { useParticles } from './ParticleLayer';
+import PowerupHud from './PowerupHud';
+import FloatingText from './FloatingText';
+import AssistiveControls from './AssistiveControls';
+import ColorPaletteBar from './ColorPaletteBar';
+import { useGameInput } from './useGameInput';
+import { fieldLayout, fieldTransform } from './fieldLayout';
+import { useSettings } from './SettingsContext';
+import { playHaptic } from '../lib/haptics';
+import { audio } from '../lib/audio';
+import { BREAKDOWN_LABELS, multiplierFor } from '../game/scoring';
+import { POWERUPS, activePowerups } from '../game/powerups';
+import { PLAYER_SIZE, COLORS, HUD_FONT_SCALE, FIELD_WIDTH, FIELD_HEIGHT } from '../game/constants';
+import { paletteColors, COLOR_SYMBOLS } from '../game/palettes';
+
+
+// HUD entries for active power-ups, with whole seconds remaining
+const powerupHudFor = (powerups) =>
+  activePowerups(powerups).map(kind => ({
+    kind,
+    remaining: kind === 'shield' ? 0 : Math.ceil(powerups[kind]),
+  }));
+
+const newGame = (options) => createGame({ ...options, width: FIELD_WIDTH, height: FIELD_HEIGHT });
+
+// Resume from a snapshot when one is given and still valid, else start fresh
+const initialGame = ({ snapshot, ...options }) =>
+  (snapshot && restoreGame(snapshot, { width: FIELD_WIDTH, height: FIELD_HEIGHT })) || newGame(options);
+
+const newRecorder = (state, saved) => createRecorder({
+  seed: state.seed,
+  mode: state.mode,
+  lives: state.maxLives,
+  levels: state.levels === LEVELS ? null : state.levels,
+}, saved);
+
+const GHOST_OPACITY = 0.35;
+const newGhost = (replay) => createPlayback(replay, { width: FIELD_WIDTH, height: FIELD_HEIGHT });
+
+// Player look, shared by the player and its ghost
+function usePlayerStyle(pos, color, opacity, colors) {
+  return useAnimatedStyle(() => ({
+    transform: [
+      { translateX: withSpring(pos.value.x, { damping: 20, stiffness: 300 }) },
+      { translateY: withSpring(pos.value.y, { damping: 20, stiffness: 300 }) },
+    ],
+    backgroundColor: colors[color.value],
+    opacity: opacity.value,
+  }));
+}
+
+// One symbol per colour inside the player, shown while it's the current colour
+function PlayerSymbol({ playerColor, index }) {
+  const style = useAnimatedStyle(() => ({ opacity: playerColor.value === index ? 1 : 0 }));
+  return <Animated.Text style={[styles.playerSymbol, style]}>{COLOR_SYMBOLS[index]}</Animated.Text>;
+}
+
+const BLINK_MS = 100;
+// Distance one press of an assistive move button travels
+const MOVE_STEP = PLAYER_SIZE;
+
+const announce = (message) => AccessibilityInfo.announceForAccessibility(message);
+const COUNTDOWN_FROM = 3;
+
+// mode: key of MODES in game/modes.js
+// lives: hearts for lives mode, or null for one-hit classic play
+// snapshot: a run saved by snapshotGame() to resume instead of starting fresh
+// onGameOver(result, replay): called once per finished run with runResult()
+// from the engine and the run's replay, or null if it wasn't recorded
+// onSuspend(snapshot): the app went to the background mid-run; persist the
+// snapshot, which also carries the replay recorded so far
+// onWatchReplay(replay): open the replay viewer from the game-over screen
+// ghost: replay of the best run on this seed and mode to race against
+// levels: level definitions for the run, e.g. a challenge's; defaults to LEVELS
+// title: shown in place of the mode name, e.g. for a challenge
+// target: score to beat, e.g. from a friend's challenge link
+// onChallengeFriend(run): share the finished run's { seed, mode, lives, score }
+// onRestart: a new run started from Play Again or the pause menu's Restart
+// onExit: leave the game for the menu
+// onSettings: open the settings screen from the pause menu
+export default function Game({
+  onGameOver, onSuspend, onExit, onSettings, onWatchReplay, mode, seed, snapshot, ghost = null, lives = null,
+  levels, title, onRestart, target = null, onChallengeFriend, stress = false,
+}) {
+  // Engine state is the source of truth; React state below only mirrors it for rendering
+  const engine = useRef(null);
+  if (engine.current === null) engine.current = initialGame({ snapshot, mode, seed, lives, levels, stress });
+  // Fields read from `run` below are fixed for the whole run, or only used as initial state
+  const run = engine.current;
+  // Stress runs aren't recorded, and neither are runs resumed from a snapshot
+  // saved without a recording
+  const recorder = useRef(undefined);
+  if (recorder.current === undefined) {
+    const saved = snapshot?.recording;
+    recorder.current = stress || (run.time > 0 && !saved) ? null : newRecorder(run, run.time > 0 ? saved : null);
+  }
+  const rules = run.rules;
+  const runName = title ?? rules.name;
+  const startLives = run.maxLives;
+  const playerPos = useSharedValue({ x: run.player.x, y: run.player.y });
+  const playerColor = useSharedValue(run.player.colorIndex);
+  const playerOpacity = useSharedValue(1);
+  // The ghost replays alongside the run, one step for every step played, so
+  // it only races fresh runs
+  const ghostRun = useRef(undefined);
+  if (ghostRun.current === undefined) {
+    ghostRun.current = ghost && run.time === 0 && !stress ? { replay: ghost, playback: newGhost(ghost) } : null;
+  }
+  const ghostPos = useSharedValue({ x: run.player.x, y: run.player.y });
+  const ghostColor = useSharedValue(run.player.colorIndex);
+  const ghostOpacity = useSharedValue(ghostRun.current ? GHOST_OPACITY : 0);
+  // Score minus the ghost's at the same point of its run, or null without one
+  const [ghostDelta, setGhostDelta] = useState(ghostRun.current ? 0 : null);
+  const [currentScore, setCurrentScore] = useState(run.score);
+  // A resumed run starts with a countdown rather than dropping straight into play
+  const [isPaused, setIsPaused] = useState(Boolean(snapshot));
+  // Seconds left before play resumes, or null when not counting down
+  const [countdown, setCountdown] = useState(snapshot ? COUNTDOWN_FROM : null);
   const [isGameOver, setIsGameOver] = useState(false);
-  const [pendingGameOverScore, setPendingGameOverScore] = useState(null);
-  const [obstacles, setObstacles] = useState([]);
-  const [particles, setParticles] = useState([]);
-  const gameLoopRef = useRef(null);
-  const obstacleSpeed = useRef(5);
-  const pointSound = useRef(null);
+  const [pendingResult, setPendingResult] = useState(null);
+  const [replay, setReplay] = useState(null);
+  const [endReason, setEndReason] = useState(null);
+  // Obstacles and particles render from shared values, not React state
+  const obstacleRenderer = useObstacleRenderer(stress ? STRESS_POOL_SIZE : OBSTACLE_POOL_SIZE);
+  const particles = useParticles();
+  const [frameMs, setFrameMs] = useState(null);
   const shake = useSharedValue(0);
-  // Levels
-  const [level, setLevel] = useState(1);
-  const levelThreshold = 10; // points per level
-  const spawnIntervalRef = useRef(null);
-  const obstacleSizeRef = useRef(OBSTACLE_WIDTH);
-  // Pausing and level-complete UI
-  const [isPaused, setIsPaused] = useState(false);
-  const [showLevelComplete, setShowLevelComplete] = useState(false);
-
-  // Load point scoring sound
+  const [level, setLevel] = useState(run.level);
+  // Level-complete UI, holds the name of the level just cleared
+  const [completedLevelName, setCompletedLevelName] = useState(
+    run.status === 'levelComplete' ? currentLevel(run).name : null
+  );
+  const showLevelComplete = completedLevelName !== null;
+  const [powerupHud, setPowerupHud] = useState([]);
+  const [livesLeft, setLivesLeft] = useState(run.lives);
+  const [timeLeft, setTimeLeft] = useState(
+    rules.timeLimit === null ? null : Math.ceil(rules.timeLimit - run.time)
+  );
+  const [multiplier, setMultiplier] = useState(1);
+  const [floatingTexts, setFloatingTexts] = useState([]);
+  const [breakdown, setBreakdown] = useState(null);
+  const floatingId = useRef(0);
+  const { settings } = useSettings();
+  // Event handlers read settings through a ref so changing them mid-run
+  // doesn't restart the game loop
+  const prefs = useRef(settings);
+  prefs.current = settings;
+  const colors = paletteColors(settings.palette);
+  // Mirrors playerColor for the assistive colour picker
+  const [colorIndex, setColorIndex] = useState(run.player.colorIndex);
+  const [screenReader, setScreenReader] = useState(false);
+  const assistive = settings.assistiveControls || screenReader;
+
   useEffect(() => {
-    let mounted = true;
-    (async () => {
-      try {
-        const { sound } = await Audio.Sound.createAsync(
-          require('../assets/sounds/point.wav')
-        );
-        if (!mounted) return;
-        pointSound.current = sound;
-      } catch (e) {
-        // If asset missing, ignore
-      }
-    })();
-    return () => {
-      mounted = false;
-      if (pointSound.current) {
-        pointSound.current.unloadAsync();
-        pointSound.current = null;
-      }
-    };
+    AccessibilityInfo.isScreenReaderEnabled().then(setScreenReader).catch(() => {});
+    const subscription = AccessibilityInfo.addEventListener('screenReaderChanged', setScreenReader);
+    return () => subscription.remove();
   }, []);
 
-  // Player movement
+  const freeze = isPaused && !isGameOver;
+
+  // Recomputed on every resize or rotation; the engine never notices
+  const windowSize = useWindowDimensions();
+  const insets = useSafeAreaInsets();
+  const field = fieldLayout(windowSize, insets);
+  const safeArea = { top: insets.top, bottom: insets.bottom, left: insets.left, right: insets.right };
+
+  // Escape or a gamepad's start button pauses, and resumes from the pause menu
+  const togglePause = () => {
+    if (isGameOver || showLevelComplete) return;
+    if (!isPaused) setIsPaused(true);
+    else if (countdown === null) setCountdown(COUNTDOWN_FROM);
+  };
+  // Advance to the next level and resume with a clean field
+  const nextLevel = () => {
+    recorder.current?.mark('advance');
+    engine.current = advanceLevel(engine.current);
+    setCompletedLevelName(null);
+    setLevel(engine.current.level);
+    obstacleRenderer.reset();
+  };
+  // Enter or a gamepad's A button picks the first choice on a menu
+  const confirm = () => {
+    if (showLevelComplete && !isPaused) nextLevel();
+    else if (freeze && countdown === null) setCountdown(COUNTDOWN_FROM);
+  };
+  // Off while a route pushed from the pause menu (settings) covers the game
+  const [focused, setFocused] = useState(true);
+  useFocusEffect(useCallback(() => {
+    setFocused(true);
+    return () => setFocused(false);
+  }, []));
+  const input = useGameInput({
+    paused: freeze || showLevelComplete,
+    onPause: togglePause,
+    onConfirm: confirm,
+    active: focused,
+  });
+  const dispatch = input.dispatch;
+
+  // Touch adapters. 'drag' puts the ball under a finger on it, 'swipe' moves
+  // the ball by how far a finger travels anywhere on the field. playerPos
+  // follows the engine, so both only ever dispatch actions. Touches arrive in
+  // screen pixels and are converted to field units here.
+  const moveAnywhere = settings.controlScheme === 'swipe';
+  const colorControl = settings.colorControl;
+  const flicks = colorControl === 'swipe';
+
   const panGesture = Gesture.Pan()
+    .enabled(!freeze)
     .onUpdate((e) => {
-      const newX = e.absoluteX - PLAYER_SIZE / 2;
-      if (newX >= 0 && newX <= SCREEN_WIDTH - PLAYER_SIZE) {
-        playerPos.value = {
-          x: newX,
-          y: playerPos.value.y,
-        };
-      }
+      runOnJS(dispatch)({ type: 'setPosition', x: (e.absoluteX - field.left) / field.scale - PLAYER_SIZE / 2 });
     });
 
-  // Player style with animation
-  const playerStyle = useAnimatedStyle(() => {
-    return {
-      transform: [
-        { translateX: withSpring(playerPos.value.x, { damping: 20, stiffness: 300 }) },
-        { translateY: withSpring(playerPos.value.y, { damping: 20, stiffness: 300 }) },
-      ],
-      backgroundColor: COLORS[playerColor.value],
-    };
-  });
+  const swipeStart = useSharedValue(0);
+  const swipeGesture = Gesture.Pan()
+    .enabled(!freeze)
+    .onStart(() => {
+      swipeStart.value = playerPos.value.x;
+    })
+    .onUpdate((e) => {
+      runOnJS(dispatch)({ type: 'setPosition', x: swipeStart.value + e.translationX / field.scale });
+    });
+
+  // With flick colour control, movement only starts on a horizontal drag and
+  // gives way to a vertical one, so a flick never nudges the ball sideways
+  if (flicks) {
+    for (const pan of [panGesture, swipeGesture]) pan.activeOffsetX([-8, 8]).failOffsetY([-20, 20]);
+  }
+
+  const flickGesture = (direction, cycle) => Gesture.Fling()
+    .enabled(flicks && !freeze)
+    .direction(direction)
+    .onEnd((_, success) => {
+      if (success) runOnJS(dispatch)({ type: 'cycleColor', direction: cycle });
+    });
+
+  // Tap colour control: left half of the field steps back, right half forward
+  const halvesGesture = Gesture.Tap()
+    .enabled(colorControl === 'halves' && !freeze)
+    .maxDistance(12)
+    .onEnd((e, success) => {
+      const middle = field.left + (FIELD_WIDTH * field.scale) / 2;
+      if (success) runOnJS(dispatch)({ type: 'cycleColor', direction: e.absoluteX < middle ? -1 : 1 });
+    });
+
+  // The drag scheme moves from the ball and everything else listens on the
+  // whole field; the two never share a gesture instance
+  const playerGesture = Gesture.Race(panGesture, flickGesture(Directions.UP, 1), flickGesture(Directions.DOWN, -1));
+  const fieldGesture = moveAnywhere
+    ? Gesture.Race(swipeGesture, flickGesture(Directions.UP, 1), flickGesture(Directions.DOWN, -1), halvesGesture)
+    : halvesGesture;
+
+  const playerStyle = usePlayerStyle(playerPos, playerColor, playerOpacity, colors);
+  const ghostStyle = usePlayerStyle(ghostPos, ghostColor, ghostOpacity, colors);
 
   // Screen shake style
   const shakeStyle = useAnimatedStyle(() => {
@@ -86,212 +280,318 @@ export default function Game({ onGameOver }) {
     return { transform: [{ translateX }, { translateY }] };
   });
 
-  // Particles are rendered as simple absolute Views updated via state
-
-  // Generate new obstacle
-  const generateObstacle = useCallback(() => {
-    const colorIndex = Math.floor(Math.random() * COLORS.length);
-    const size = obstacleSizeRef.current;
-    const x = Math.random() * (SCREEN_WIDTH - size);
-    // Horizontal velocity for Level 2+
-    // For Level 2, emphasize rotation (no horizontal); for Level 3+, allow horizontal
-    const vx = (typeof level !== 'undefined' && level >= 3)
-      ? ((Math.random() < 0.5 ? -1 : 1) * (1 + Math.random() * 2))
-      : 0;
-    // Rotation setup for Level 2+
-    const angle = (typeof level !== 'undefined' && level >= 2) ? Math.random() * 360 : 0;
-    const rotateSpeed = (typeof level !== 'undefined' && level >= 2)
-      ? (0.8 + Math.random() * 1.2) * (Math.random() < 0.5 ? -1 : 1)
-      : 0;
-    
-    return {
-      id: Date.now() + Math.random(),
-      x,
-      y: -size,
-      color: COLORS[colorIndex],
-      colorIndex,
-      width: size,
-      height: size,
-      vx,
-      angle,
-      rotateSpeed,
-    };
+  const emitParticles = particles.emit;
+
+  const haptic = useCallback((cue) => playHaptic(cue, prefs.current), []);
+
+  const burst = useCallback((x, y, color) => {
+    if (!prefs.current.reducedMotion) emitParticles(spawnBurst(x, y, color));
+  }, [emitParticles]);
+
+  const shakeScreen = useCallback((amount, rise, settle) => {
+    if (prefs.current.reducedMotion) return;
+    shake.value = withSequence(
+      withTiming(amount, { duration: rise }),
+      withTiming(0, { duration: settle })
+    );
+  }, [shake]);
+
+  const addFloatingText = useCallback((x, y, text, color) => {
+    floatingId.current += 1;
+    const item = { id: floatingId.current, x, y, text, color };
+    setFloatingTexts(prev => [...prev, item]);
+  }, []);
+
+  const removeFloatingText = useCallback((id) => {
+    setFloatingTexts(prev => prev.filter(t => t.id !== id));
   }, []);
 
-  // Game loop
+  // Blink for `seconds` of invulnerability
+  const startBlink = useCallback((seconds) => {
+    playerOpacity.value = withRepeat(
+      withSequence(withTiming(0.25, { duration: BLINK_MS }), withTiming(1, { duration: BLINK_MS })),
+      Math.max(1, Math.round((seconds * 1000) / (BLINK_MS * 2))),
+      false
+    );
+  }, [playerOpacity]);
+
+  // Side effects for events emitted by the engine during a step
+  const handleEvents = useCallback((events) => {
+    for (const event of events) {
+      if (event.type === 'score') {
+        setCurrentScore(engine.current.score);
+        audio.play('score');
+        // Haptics: impact on score
+        haptic('medium');
+        // Emit particles around player
+        burst(event.x, event.y, paletteColors(prefs.current.palette)[event.colorIndex]);
+        addFloatingText(
+          event.x,
+          event.y,
+          event.multiplier > 1 ? `+${event.points} x${event.multiplier}` : `+${event.points}`,
+          paletteColors(prefs.current.palette)[event.colorIndex]
+        );
+        // Trigger screen shake
+        shakeScreen(8, 40, 120);
+      } else if (event.type === 'colorChange') {
+        setColorIndex(event.colorIndex);
+        audio.play('colorChange');
+      } else if (event.type === 'nearMiss') {
+        setCurrentScore(engine.current.score);
+        addFloatingText(event.x, event.y, `Close! +${event.points}`, '#FFD166');
+        audio.play('nearMiss');
+        haptic('selection');
+      } else if (event.type === 'powerup') {
+        const { cue, color } = POWERUPS[event.kind];
+        audio.play('powerup', { rate: cue.rate });
+        haptic(cue.haptic);
+        burst(
+          engine.current.player.x + PLAYER_SIZE / 2,
+          engine.current.player.y + PLAYER_SIZE / 2,
+          color
+        );
+      } else if (event.type === 'powerupEnd') {
+        audio.play('powerupEnd');
+      } else if (event.type === 'shieldBreak') {
+        audio.play('shieldBreak');
+        haptic('warning');
+        shakeScreen(14, 50, 200);
+      } else if (event.type === 'lifeLost') {
+        setLivesLeft(event.lives);
+        audio.play('lifeLost');
+        announce(event.lives === 1 ? '1 life left' : `${event.lives} lives left`);
+        haptic('error');
+        shakeScreen(16, 50, 250);
+        startBlink(INVULNERABLE_TIME);
+      } else if (event.type === 'penalty') {
+        setCurrentScore(engine.current.score);
+        addFloatingText(
+          engine.current.player.x + PLAYER_SIZE / 2,
+          engine.current.player.y,
+          `-${event.points}`,
+          '#FF6B6B'
+        );
+        haptic('warning');
+      } else if (event.type === 'levelUp') {
+        setLevel(event.level);
+        audio.play('levelUp');
+        announce(`Level ${event.level}: ${event.name}`);
+        addFloatingText(engine.current.width / 2, engine.current.height / 3, `Level ${event.level}: ${event.name}`, '#4ECDC4');
+        haptic('success');
+      } else if (event.type === 'levelComplete') {
+        setCompletedLevelName(currentLevel(engine.current).name);
+        audio.play('levelComplete');
+        announce(`Level ${engine.current.level} complete: ${currentLevel(engine.current).name}`);
+        haptic('success');
+      } else if (event.type === 'gameOver') {
+        if (engine.current.lives !== null) setLivesLeft(engine.current.lives);
+        setCurrentScore(event.result.score);
+        setBreakdown(event.result.breakdown);
+        setEndReason(event.reason);
+        setIsGameOver(true);
+        setReplay(recorder.current?.toReplay(event.result) ?? null);
+        setPendingResult(event.result);
+        audio.play('gameOver');
+        audio.playMusic('menu');
+        announce(`${event.reason === 'time' ? "Time's up" : 'Game over'}. Score ${event.result.score}, level ${event.result.level}`);
+        // Haptics: notify on game over
+        haptic('error');
+      }
+    }
+  }, [haptic, burst, shakeScreen, startBlink, addFloatingText]);
+
+  const obstacleSync = obstacleRenderer.sync;
+  const take = input.take;
+
+  // Pause and hand a snapshot to the app whenever it leaves the foreground,
+  // so the run survives the OS killing the app
   useEffect(() => {
-    if (isGameOver) return;
-
-    // Spawn obstacles (managed by level-dependent interval)
-    const startSpawning = () => {
-      if (spawnIntervalRef.current) clearInterval(spawnIntervalRef.current);
-      const base = 1200;
-      const rate = Math.max(500, base - (level - 1) * 100);
-      spawnIntervalRef.current = setInterval(() => {
-        if (!isPaused) {
-          setObstacles(prev => [...prev, generateObstacle()]);
-        }
-      }, rate);
-    };
-    startSpawning();
-
-    // Game loop ~60fps
-    gameLoopRef.current = setInterval(() => {
-      setObstacles(prev => {
-        if (isPaused) return prev; // freeze game state while paused
-        const updatedObstacles = prev
-          .map(obs => {
-            // Vertical movement
-            let newY = obs.y + obstacleSpeed.current;
-            // Horizontal movement for Level 2+
-            let newX = obs.x;
-            let newVx = obs.vx ?? 0;
-            if (level >= 3 && newVx !== 0) {
-              newX += newVx;
-              if (newX <= 0 || newX + obs.width >= SCREEN_WIDTH) {
-                newVx = -newVx; // bounce
-                newX = Math.max(0, Math.min(SCREEN_WIDTH - obs.width, newX));
-              }
-            }
-            // Rotation for Level 2+
-            let newAngle = obs.angle ?? 0;
-            let newRotateSpeed = obs.rotateSpeed ?? 0;
-            if (level >= 2 && newRotateSpeed !== 0) {
-              newAngle = (newAngle + newRotateSpeed) % 360;
-            }
-            return { ...obs, y: newY, x: newX, vx: newVx, angle: newAngle, rotateSpeed: newRotateSpeed };
-          })
-          .filter(obs => {
-            const playerRect = {
-              x: playerPos.value.x,
-              y: playerPos.value.y,
-              width: PLAYER_SIZE,
-              height: PLAYER_SIZE,
-            };
-            const obstacleRect = { x: obs.x, y: obs.y, width: obs.width, height: obs.height };
-
-            const collision = !(
-              playerRect.x > obstacleRect.x + obstacleRect.width ||
-              playerRect.x + playerRect.width < obstacleRect.x ||
-              playerRect.y > obstacleRect.y + obstacleRect.height ||
-              playerRect.y + playerRect.height < obstacleRect.y
-            );
-
-            if (collision) {
-              if (playerColor.value === obs.colorIndex) {
-                // Match color - score point
-                score.current += 1;
-                setCurrentScore(score.current);
-                // Play point sound if loaded
-                try { pointSound.current?.replayAsync(); } catch {}
-                // Haptics: impact on score
-                try { Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium); } catch {}
-
-                // Emit particles around player
-                const px = playerPos.value.x + PLAYER_SIZE / 2;
-                const py = playerPos.value.y + PLAYER_SIZE / 2;
-                const burst = Array.from({ length: 14 }).map((_, i) => ({
-                  id: `p-${Date.now()}-${i}-${Math.random()}`,
-                  x: px + (Math.random() - 0.5) * 20,
-                  y: py + (Math.random() - 0.5) * 20,
-                  vx: (Math.random() - 0.5) * 2,
-                  vy: -2 - Math.random() * 2,
-                  life: 30 + Math.floor(Math.random() * 20),
-                  color: COLORS[obs.colorIndex],
-                  size: 4 + Math.random() * 6,
-                  opacity: 1,
-                }));
-                setParticles(prevP => [...prevP, ...burst]);
-
-                // Trigger screen shake
-                shake.value = withSequence(
-                  withTiming(8, { duration: 40 }),
-                  withTiming(0, { duration: 120 })
-                );
-
-                // Level progression handling: for every level
-                if (score.current > 0 && score.current % levelThreshold === 0) {
-                  setIsPaused(true);
-                  setShowLevelComplete(true);
-                  try { Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success); } catch {}
-                }
-                return false; // remove obstacle
-              } else {
-                // Game over
-                clearInterval(gameLoopRef.current);
-                if (spawnIntervalRef.current) clearInterval(spawnIntervalRef.current);
-                setIsGameOver(true);
-                setPendingGameOverScore(score.current);
-                // Haptics: notify on game over
-                try { Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error); } catch {}
-                return false;
-              }
-            }
-
-            // Keep obstacle if still on screen
-            return obs.y < SCREEN_HEIGHT;
-          });
-
-        // Gradual speed ramp aside from level-ups
-        if (score.current > 0 && score.current % 5 === 0) {
-          obstacleSpeed.current = Math.min(20, 5 + Math.floor(score.current / 4));
-        }
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active' || engine.current.status === 'gameOver' || engine.current.stress) return;
+      setCountdown(null);
+      setIsPaused(true);
+      onSuspend?.({ ...snapshotGame(engine.current), recording: recorder.current?.snapshot() ?? null });
+    });
+    return () => subscription.remove();
+  }, [onSuspend]);
+
+  // The engine only advances inside the loop below, so stopping the loop
+  // freezes spawning, speed ramp and power-up timers. Particles, floating
+  // text and the invulnerability blink run on the UI thread and are frozen
+  // separately here.
+  const particleFrames = particles.frameCallback;
+  useEffect(() => {
+    particleFrames.setActive(!freeze);
+    if (freeze) recorder.current?.mark('pause');
+    if (freeze) {
+      cancelAnimation(playerOpacity);
+      playerOpacity.value = 1;
+    } else if (engine.current.invulnerable > 0) {
+      startBlink(engine.current.invulnerable);
+    }
+  }, [freeze, particleFrames, playerOpacity, startBlink]);
 
-        // Update particles
-        setParticles(prev => {
-          const next = prev
-            .map(p => ({
-              ...p,
-              x: p.x + p.vx,
-              y: p.y + p.vy,
-              vy: p.vy * 0.98 + 0.02, // slight gravity ease
-              life: p.life - 1,
-              opacity: Math.max(0, p.opacity - 0.03),
-            }))
-            .filter(p => p.life > 0 && p.opacity > 0 && p.y > -20);
-          return next;
-        });
-
-        return updatedObstacles;
-      });
-    }, 16);
-
-    return () => {
-      if (spawnIntervalRef.current) clearInterval(spawnIntervalRef.current);
-      clearInterval(gameLoopRef.current);
-    };
-  }, [isGameOver, generateObstacle, level, isPaused]);
-
-  // Restart spawner when level changes (if not game over)
+  // Count down before play resumes so the player can find their footing
   useEffect(() => {
-    if (isGameOver) return;
-    if (spawnIntervalRef.current) {
-      clearInterval(spawnIntervalRef.current);
-      spawnIntervalRef.current = null;
+    if (countdown === null) return;
+    if (countdown === 0) {
+      setCountdown(null);
+      setIsPaused(false);
+      return;
     }
-    const base = 1200;
-    const rate = Math.max(500, base - (level - 1) * 100);
-    spawnIntervalRef.current = setInterval(() => {
-      setObstacles(prev => [...prev, generateObstacle()]);
-    }, rate);
-    return () => {
-      if (spawnIntervalRef.current) clearInterval(spawnIntervalRef.current);
-    };
-  }, [level, isGameOver, generateObstacle, isPaused]);
+    const timer = setTimeout(() => setCountdown(countdown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [countdown]);
+
+  // Game loop: fixed simulation steps, rendered once per display frame
+  useEffect(() => {
+    if (isGameOver || isPaused) return;
+    let previous = engine.current;
+    let ghostPrevious = ghostRun.current?.playback.state();
+    let lastHudKey = '';
+    let lastMultiplier = 1;
+    let lastSeconds = null;
+    const stats = { frames: 0, since: Date.now() };
+    return startLoop({
+      update: (dt) => {
+        previous = engine.current;
+        const stepInput = recorder.current ? recorder.current.record(take()) : take();
+        engine.current = step(engine.current, stepInput, dt);
+        if (engine.current.events.length) handleEvents(engine.current.events);
+        const chase = ghostRun.current?.playback;
+        if (chase) {
+          ghostPrevious = chase.state();
+          const ghostState = chase.seek(chase.position() + 1);
+          setGhostDelta(engine.current.score - ghostState.score);
+        }
+        const hud = powerupHudFor(engine.current.powerups);
+        const hudKey = hud.map(p => `${p.kind}:${p.remaining}`).join();
+        if (hudKey !== lastHudKey) {
+          lastHudKey = hudKey;
+          setPowerupHud(hud);
+        }
+        if (engine.current.rules.timeLimit !== null) {
+          const seconds = Math.max(0, Math.ceil(engine.current.rules.timeLimit - engine.current.time));
+          if (seconds !== lastSeconds) {
+            lastSeconds = seconds;
+            setTimeLeft(seconds);
+          }
+        }
+        const combo = engine.current.combo;
+        const currentMultiplier = combo > 0 ? multiplierFor(combo) : 1;
+        if (currentMultiplier !== lastMultiplier) {
+          lastMultiplier = currentMultiplier;
+          setMultiplier(currentMultiplier);
+        }
+      },
+      render: (alpha) => {
+        obstacleSync(interpolateObstacles(previous.obstacles, engine.current.obstacles, alpha));
+        const { player } = engine.current;
+        const x = previous.player.x + (player.x - previous.player.x) * alpha;
+        if (x !== playerPos.value.x) playerPos.value = { x, y: player.y };
+        if (player.colorIndex !== playerColor.value) playerColor.value = player.colorIndex;
+        const chase = ghostRun.current?.playback;
+        if (chase) {
+          const ghostState = chase.state();
+          const ghostX = ghostPrevious.player.x + (ghostState.player.x - ghostPrevious.player.x) * alpha;
+          if (ghostX !== ghostPos.value.x) ghostPos.value = { x: ghostX, y: ghostState.player.y };
+          if (ghostState.player.colorIndex !== ghostColor.value) ghostColor.value = ghostState.player.colorIndex;
+          // The ghost fades out once its run is over
+          const opacity = ghostState.status === 'gameOver' ? 0 : GHOST_OPACITY;
+          if (opacity !== ghostOpacity.value) ghostOpacity.value = withTiming(opacity, { duration: 300 });
+        }
+        if (stress) {
+          // Average frame time readout for comparing renderers
+          stats.frames += 1;
+          const now = Date.now();
+          if (now - stats.since >= 500) {
+            setFrameMs((now - stats.since) / stats.frames);
+            stats.frames = 0;
+            stats.since = now;
+          }
+        }
+      },
+    });
+  }, [
+    isGameOver, isPaused, handleEvents, take, playerPos, playerColor, ghostPos, ghostColor, ghostOpacity,
+    obstacleSync, stress,
+  ]);
 
   // Defer notifying parent about game over to avoid setState during render warning
   useEffect(() => {
-    if (isGameOver && pendingGameOverScore != null) {
-      onGameOver?.(pendingGameOverScore);
-      // clear pending score to avoid repeated calls
-      setPendingGameOverScore(null);
+    if (isGameOver && pendingResult != null) {
+      onGameOver?.(pendingResult, replay);
+      // clear pending result to avoid repeated calls
+      setPendingResult(null);
+    }
+  }, [isGameOver, pendingResult, replay, onGameOver]);
+
+  // Quit treated as ending the run, so it still reaches the game-over screen
+  // and its score is recorded; Zen runs have no other way to end
+  const quitRun = () => {
+    setCompletedLevelName(null);
+    recorder.current?.mark('quit');
+    engine.current = endRun(engine.current, 'quit');
+    handleEvents(engine.current.events);
+  };
+
+  const restartRun = () => {
+    onRestart?.();
+    engine.current = newGame({ mode: run.mode, seed, lives: startLives, levels: run.levels, stress });
+    recorder.current = stress ? null : newRecorder(engine.current);
+    // Racing a seed again means racing the best run on it, which may be the
+    // one just finished
+    if (ghostRun.current && replay && replay.result.score > ghostRun.current.replay.result.score) {
+      ghostRun.current = { replay, playback: newGhost(replay) };
+    } else if (ghostRun.current) {
+      ghostRun.current = { ...ghostRun.current, playback: newGhost(ghostRun.current.replay) };
     }
-  }, [isGameOver, pendingGameOverScore, onGameOver]);
+    setReplay(null);
+    obstacleRenderer.reset();
+    particles.clear();
+    setCurrentScore(0);
+    setMultiplier(1);
+    setFloatingTexts([]);
+    setBreakdown(null);
+    setPowerupHud([]);
+    setLivesLeft(startLives);
+    setTimeLeft(rules.timeLimit);
+    setIsPaused(false);
+    setCountdown(null);
+    setEndReason(null);
+    cancelAnimation(playerOpacity);
+    playerOpacity.value = 1;
+    setIsGameOver(false);
+    setLevel(1);
+    setCompletedLevelName(null);
+    playerPos.value = { x: engine.current.player.x, y: engine.current.player.y };
+    playerColor.value = engine.current.player.colorIndex;
+    if (ghostRun.current) {
+      ghostPos.value = playerPos.value;
+      ghostColor.value = playerColor.value;
+      ghostOpacity.value = GHOST_OPACITY;
+      setGhostDelta(0);
+    }
+    setColorIndex(engine.current.player.colorIndex);
+    input.clear();
+    audio.playMusic('game');
+  };
+
+  const playerSymbols = settings.colorSymbols
+    && COLOR_SYMBOLS.map((_, i) => <PlayerSymbol key={i} playerColor={playerColor} index={i} />);
 
   // Change player color on tap
   const changeColor = useCallback(() => {
-    playerColor.value = (playerColor.value + 1) % COLORS.length;
-  }, [playerColor]);
+    dispatch({ type: 'cycleColor', direction: 1 });
+  }, [dispatch]);
+
+  const selectColor = useCallback((index) => {
+    dispatch({ type: 'selectColor', index });
+  }, [dispatch]);
+
+  const movePlayer = useCallback((direction) => {
+    dispatch({ type: 'setPosition', x: engine.current.player.x + direction * MOVE_STEP });
+  }, [dispatch]);
 
   return (
     <View style={styles.container}>
@@ -303,109 +603,241 @@ export default function Game({ onGameOver }) {
         style={StyleSheet.absoluteFill}
       />
 
-      <Animated.View style={[StyleSheet.absoluteFill, shakeStyle]}>
-        <Text style={styles.score}>Score: {currentScore}</Text>
-        <Text style={styles.level}>Level: {level}</Text>
-
-        <GestureDetector gesture={panGesture}>
-          <Animated.View style={[styles.player, playerStyle]} />
+      {(moveAnywhere || colorControl === 'halves') && (
+        <GestureDetector gesture={fieldGesture}>
+          <View style={StyleSheet.absoluteFill} />
         </GestureDetector>
+      )}
+      <Animated.View style={[StyleSheet.absoluteFill, shakeStyle]} pointerEvents="box-none">
+        <View style={[styles.field, fieldTransform(field)]} pointerEvents="box-none">
+          {ghostRun.current && (
+            <Animated.View style={[styles.player, styles.ghost, ghostStyle]} pointerEvents="none" />
+          )}
+          {moveAnywhere ? (
+            <Animated.View style={[styles.player, playerStyle]} pointerEvents="none">{playerSymbols}</Animated.View>
+          ) : (
+            <GestureDetector gesture={playerGesture}>
+              <Animated.View style={[styles.player, playerStyle]}>{playerSymbols}</Animated.View>
+            </GestureDetector>
+          )}
+
+          <ObstacleLayer renderer={obstacleRenderer} colors={colors} symbols={settings.colorSymbols} />
+          <ParticleLayer particles={particles} />
+          <FloatingText items={floatingTexts} onDone={removeFloatingText} paused={freeze} />
+        </View>
+      </Animated.View>
+
+      <View style={[styles.safeArea, safeArea]} pointerEvents="box-none">
+        <Text
+          style={styles.score}
+          maxFontSizeMultiplier={HUD_FONT_SCALE}
+          accessibilityLabel={`Score ${currentScore}${multiplier > 1 ? `, multiplier ${multiplier}` : ''}`}
+        >
+          Score: {currentScore}
+          {multiplier > 1 && <Text style={styles.multiplier}>  x{multiplier}</Text>}
+        </Text>
+        {ghostDelta !== null && (
+          <Text
+            style={[styles.ghostDelta, ghostDelta < 0 && styles.ghostBehind]}
+            maxFontSizeMultiplier={HUD_FONT_SCALE}
+            accessibilityLabel={`${Math.abs(ghostDelta)} points ${ghostDelta < 0 ? 'behind' : 'ahead of'} your best run`}
+          >
+            {ghostDelta < 0 ? ghostDelta : `+${ghostDelta}`} vs best
+          </Text>
+        )}
+        <Text style={styles.level} maxFontSizeMultiplier={HUD_FONT_SCALE}>Level: {level}</Text>
+        {target !== null && (
+          <Text style={styles.target} maxFontSizeMultiplier={HUD_FONT_SCALE} accessibilityLabel={`Target score ${target}`}>
+            🎯 {target}
+          </Text>
+        )}
+        {timeLeft !== null && (
+          <Text style={styles.timer} maxFontSizeMultiplier={HUD_FONT_SCALE} accessibilityLabel={`${timeLeft} seconds left`}>
+            ⏱ {timeLeft}s
+          </Text>
+        )}
+        {livesLeft !== null && (
+          <Text
+            style={styles.lives}
+            maxFontSizeMultiplier={HUD_FONT_SCALE}
+            accessibilityLabel={`${livesLeft} of ${startLives} lives`}
+          >
+            {'❤️'.repeat(livesLeft)}{'🤍'.repeat(Math.max(0, startLives - livesLeft))}
+          </Text>
+        )}
+        <PowerupHud active={powerupHud} />
 
-        {obstacles.map((obstacle) => (
-          <View
-            key={obstacle.id}
-            style={[
-              styles.obstacle,
-              {
-                left: obstacle.x,
-                top: obstacle.y,
-                backgroundColor: obstacle.color,
-                width: obstacle.width,
-                height: obstacle.height,
-              },
-            ]}
+        {stress && (
+          <Text style={styles.stressStats}>
+            {obstacleRenderer.views.length} obstacles · {frameMs ? frameMs.toFixed(1) : '--'} ms/frame
+          </Text>
+        )}
+
+        {!isPaused && !isGameOver && !showLevelComplete && (
+          <TouchableOpacity
+            accessibilityRole="button"
+            accessibilityLabel="Pause"
+            style={styles.pauseButton}
+            onPress={() => setIsPaused(true)}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          >
+            <Text style={styles.pauseButtonText} maxFontSizeMultiplier={HUD_FONT_SCALE}>⏸</Text>
+          </TouchableOpacity>
+        )}
+
+        {assistive ? (
+          <AssistiveControls
+            colors={colors}
+            colorIndex={colorIndex}
+            onMove={movePlayer}
+            onSelectColor={selectColor}
           />
-        ))}
-
-        {particles.map((p) => (
-          <View
-            key={p.id}
-            style={{
-              position: 'absolute',
-              left: p.x,
-              top: p.y,
-              width: p.size,
-              height: p.size,
-              borderRadius: p.size / 2,
-              backgroundColor: p.color,
-              opacity: p.opacity,
-            }}
+        ) : colorControl === 'palette' ? (
+          <ColorPaletteBar
+            colors={colors}
+            colorIndex={colorIndex}
+            onSelect={selectColor}
+            symbols={settings.colorSymbols}
+            style={styles.paletteBar}
           />
-        ))}
-
-        <TouchableOpacity style={styles.colorButton} onPress={changeColor}>
-          <Text style={styles.colorButtonText}>Change Color</Text>
-        </TouchableOpacity>
-
-        {showLevelComplete && (
-          <View style={styles.overlayContainer}>
-            <Text style={styles.levelUpTitle}>Level {level} Complete!</Text>
-            <View style={styles.overlayButtons}>
-              <TouchableOpacity
-                style={[styles.overlayButton, { backgroundColor: '#e94560' }]}
-                onPress={() => {
-                  // Quit treated as ending the run
-                  setShowLevelComplete(false);
-                  onGameOver?.(score.current);
-                }}
-              >
-                <Text style={styles.overlayButtonText}>Quit</Text>
-              </TouchableOpacity>
-              <TouchableOpacity
-                style={[styles.overlayButton, { backgroundColor: '#4ECDC4' }]}
-                onPress={() => {
-                  // Advance to Level 2 and resume
-                  setShowLevelComplete(false);
-                  setIsPaused(false);
-                  setLevel(prev => prev + 1);
-                  obstacleSpeed.current = Math.min(20, obstacleSpeed.current + 1);
-                  obstacleSizeRef.current = Math.max(36, obstacleSizeRef.current - 4);
-                  // Optionally clear existing obstacles for a clean start
-                  setObstacles([]);
-                }}
-              >
-                <Text style={styles.overlayButtonText}>Next Level</Text>
-              </TouchableOpacity>
-            </View>
-          </View>
+        ) : colorControl === 'button' && (
+          <TouchableOpacity
+            accessibilityRole="button"
+            accessibilityLabel="Change colour"
+            style={[styles.colorButton, settings.leftHanded ? styles.colorButtonLeft : styles.colorButtonRight]}
+            onPress={changeColor}
+          >
+            <Text style={styles.colorButtonText} maxFontSizeMultiplier={HUD_FONT_SCALE}>Change Color</Text>
+          </TouchableOpacity>
         )}
+      </View>
 
-        {isGameOver && (
-          <View style={styles.gameOverContainer}>
-            <Text style={styles.gameOverText}>Game Over!</Text>
-            <Text style={styles.finalScore}>Score: {currentScore}</Text>
-            <Text style={styles.finalScore}>Level: {level}</Text>
+      {showLevelComplete && (
+        <View style={styles.overlayContainer} accessibilityViewIsModal>
+          <Text style={styles.levelUpTitle}>Level {level} Complete!</Text>
+          <Text style={styles.levelName}>{completedLevelName}</Text>
+          <View style={styles.overlayButtons}>
             <TouchableOpacity
-              style={styles.restartButton}
-              onPress={() => {
-                setObstacles([]);
-                setParticles([]);
-                score.current = 0;
-                setCurrentScore(0);
-                setIsGameOver(false);
-                obstacleSpeed.current = 5;
-                obstacleSizeRef.current = OBSTACLE_WIDTH;
-                setLevel(1);
-                setIsPaused(false);
-                setShowLevelComplete(false);
-                playerPos.value = { x: SCREEN_WIDTH / 2 - PLAYER_SIZE / 2, y: SCREEN_HEIGHT - 100 };
-              }}
+              accessibilityRole="button"
+              style={[styles.overlayButton, { backgroundColor: '#e94560' }]}
+              onPress={quitRun}
             >
-              <Text style={styles.restartButtonText}>Play Again</Text>
+              <Text style={styles.overlayButtonText}>Quit</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              accessibilityRole="button"
+              style={[styles.overlayButton, { backgroundColor: '#4ECDC4' }]}
+              onPress={nextLevel}
+            >
+              <Text style={styles.overlayButtonText}>Next Level</Text>
             </TouchableOpacity>
           </View>
-        )}
-      </Animated.View>
+        </View>
+      )}
+
+      {freeze && countdown === null && (
+        <View style={styles.overlayContainer} accessibilityViewIsModal>
+          <Text style={styles.levelUpTitle}>Paused</Text>
+          <Text style={styles.levelName}>{runName} · Level {level}</Text>
+          <TouchableOpacity
+            accessibilityRole="button"
+            style={[styles.pauseMenuButton, { backgroundColor: '#4ECDC4' }]}
+            onPress={() => setCountdown(COUNTDOWN_FROM)}
+          >
+            <Text style={styles.overlayButtonText}>Resume</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            accessibilityRole="button"
+            style={[styles.pauseMenuButton, { backgroundColor: '#45B7D1' }]}
+            onPress={restartRun}
+          >
+            <Text style={styles.overlayButtonText}>Restart</Text>
+          </TouchableOpacity>
+          {onSettings && (
+            <TouchableOpacity
+              accessibilityRole="button"
+              style={[styles.pauseMenuButton, { backgroundColor: '#96CEB4' }]}
+              onPress={onSettings}
+            >
+              <Text style={styles.overlayButtonText}>Settings</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            accessibilityRole="button"
+            style={[styles.pauseMenuButton, { backgroundColor: '#e94560' }]}
+            onPress={quitRun}
+          >
+            <Text style={styles.overlayButtonText}>End Run</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {freeze && countdown !== null && (
+        <View style={[styles.overlayContainer, styles.countdownContainer]} pointerEvents="none">
+          <Text style={styles.countdownText} accessibilityLiveRegion="assertive">{countdown}</Text>
+        </View>
+      )}
+
+      {isGameOver && (
+        <View style={styles.gameOverContainer} accessibilityViewIsModal>
+          <Text style={styles.gameOverText}>{endReason === 'time' ? "Time's Up!" : 'Game Over!'}</Text>
+          <Text style={styles.modeName}>{runName}</Text>
+          <Text style={styles.finalScore}>Score: {currentScore}</Text>
+          {target !== null && (
+            <Text style={[styles.targetResult, currentScore <= target && styles.targetMissed]}>
+              {currentScore > target
+                ? `You beat the target of ${target}!`
+                : `${target - currentScore + 1} short of beating ${target}`}
+            </Text>
+          )}
+          {breakdown && (
+            <View style={styles.breakdown}>
+              {Object.keys(BREAKDOWN_LABELS).map(key => (
+                <View key={key} style={styles.breakdownRow}>
+                  <Text style={styles.breakdownLabel}>{BREAKDOWN_LABELS[key]}</Text>
+                  <Text style={styles.breakdownValue}>{breakdown[key]}</Text>
+                </View>
+              ))}
+            </View>
+          )}
+          <Text style={styles.finalScore}>Level: {level}</Text>
+          <TouchableOpacity
+            accessibilityRole="button"
+            style={styles.restartButton}
+            onPress={restartRun}
+          >
+            <Text style={styles.restartButtonText}>Play Again</Text>
+          </TouchableOpacity>
+          {replay && onWatchReplay && (
+            <TouchableOpacity
+              accessibilityRole="button"
+              style={styles.menuButton}
+              onPress={() => onWatchReplay(replay)}
+            >
+              <Text style={styles.menuButtonText}>Watch Replay</Text>
+            </TouchableOpacity>
+          )}
+          {onChallengeFriend && (
+            <TouchableOpacity
+              accessibilityRole="button"
+              style={styles.menuButton}
+              onPress={() => onChallengeFriend({
+                seed: engine.current.seed,
+                mode: run.mode,
+                lives: startLives,
+                score: currentScore,
+              })}
+            >
+              <Text style={styles.menuButtonText}>Challenge a Friend</Text>
+            </TouchableOpacity>
+          )}
+          {onExit && (
+            <TouchableOpacity accessibilityRole="button" style={styles.menuButton} onPress={onExit}>
+              <Text style={styles.menuButtonText}>Menu</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
     </View>
   );
 }
@@ -415,6 +847,18 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#0f1020',
   },
+  field: {
+    position: 'absolute',
+    left: 0,
+    top: 0,
+    width: FIELD_WIDTH,
+    height: FIELD_HEIGHT,
+    overflow: 'hidden',
+    backgroundColor: 'rgba(255, 255, 255, 0.03)',
+  },
+  safeArea: {
+    position: 'absolute',
+  },
   score: {
     position: 'absolute',
     top: 40,
@@ -424,6 +868,10 @@ const styles = StyleSheet.create({
     color: '#fff',
     zIndex: 10,
   },
+  multiplier: {
+    fontSize: 20,
+    color: '#FFD166',
+  },
   level: {
     position: 'absolute',
     top: 40,
@@ -433,6 +881,31 @@ const styles = StyleSheet.create({
     color: '#4ECDC4',
     zIndex: 10,
   },
+  timer: {
+    position: 'absolute',
+    top: 40,
+    alignSelf: 'center',
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#FFD166',
+    zIndex: 10,
+  },
+  target: {
+    position: 'absolute',
+    top: 70,
+    alignSelf: 'center',
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#FFD166',
+    zIndex: 10,
+  },
+  lives: {
+    position: 'absolute',
+    top: 70,
+    right: 20,
+    fontSize: 18,
+    zIndex: 10,
+  },
   player: {
     position: 'absolute',
     width: PLAYER_SIZE,
@@ -440,20 +913,80 @@ const styles = StyleSheet.create({
     borderRadius: PLAYER_SIZE / 2,
     backgroundColor: COLORS[0],
     zIndex: 5,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  ghost: {
+    borderWidth: 2,
+    borderColor: 'white',
+    zIndex: 4,
+  },
+  ghostDelta: {
+    position: 'absolute',
+    top: 112,
+    left: 20,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#4ECDC4',
+    zIndex: 10,
+  },
+  ghostBehind: {
+    color: '#FF6B6B',
+  },
+  playerSymbol: {
+    position: 'absolute',
+    color: 'white',
+    fontSize: 24,
+    fontWeight: 'bold',
+    textShadowColor: 'rgba(0, 0, 0, 0.8)',
+    textShadowOffset: { width: 0, height: 0 },
+    textShadowRadius: 3,
   },
-  obstacle: {
+  stressStats: {
     position: 'absolute',
-    borderRadius: 10,
+    top: 76,
+    left: 20,
+    fontSize: 14,
+    color: '#FFD166',
+    zIndex: 10,
+  },
+  pauseButton: {
+    position: 'absolute',
+    top: 100,
+    right: 20,
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 10,
+  },
+  pauseButtonText: {
+    color: 'white',
+    fontSize: 18,
   },
   colorButton: {
     position: 'absolute',
     bottom: 40,
-    alignSelf: 'center',
     backgroundColor: '#e94560',
     paddingHorizontal: 30,
     paddingVertical: 15,
     borderRadius: 25,
   },
+  paletteBar: {
+    position: 'absolute',
+    bottom: 30,
+    left: 20,
+    right: 20,
+    zIndex: 12,
+  },
+  colorButtonRight: {
+    right: 20,
+  },
+  colorButtonLeft: {
+    left: 20,
+  },
   colorButtonText: {
     color: 'white',
     fontSize: 18,
@@ -477,6 +1010,50 @@ const styles = StyleSheet.create({
     color: 'white',
     marginBottom: 40,
   },
+  targetResult: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#4ECDC4',
+    marginTop: -28,
+    marginBottom: 36,
+  },
+  targetMissed: {
+    color: '#FF6B6B',
+  },
+  breakdown: {
+    width: 240,
+    marginTop: -24,
+    marginBottom: 24,
+  },
+  breakdownRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 2,
+  },
+  breakdownLabel: {
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontSize: 16,
+  },
+  breakdownValue: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  modeName: {
+    fontSize: 18,
+    color: '#4ECDC4',
+    marginTop: -12,
+    marginBottom: 20,
+  },
+  menuButton: {
+    marginTop: 16,
+    paddingHorizontal: 30,
+    paddingVertical: 10,
+  },
+  menuButtonText: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    fontSize: 18,
+  },
   restartButton: {
     backgroundColor: '#4ECDC4',
     paddingHorizontal: 40,
@@ -500,6 +1077,11 @@ const styles = StyleSheet.create({
     fontSize: 36,
     fontWeight: 'bold',
     color: 'white',
+    marginBottom: 8,
+  },
+  levelName: {
+    fontSize: 20,
+    color: '#4ECDC4',
     marginBottom: 24,
   },
   overlayButtons: {
@@ -512,6 +1094,21 @@ const styles = StyleSheet.create({
     borderRadius: 24,
     marginHorizontal: 8,
   },
+  pauseMenuButton: {
+    width: 220,
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderRadius: 24,
+    marginTop: 12,
+  },
+  countdownContainer: {
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  countdownText: {
+    fontSize: 96,
+    fontWeight: 'bold',
+    color: 'white',
+  },
   overlayButtonText: {
     color: 'white',
     fontSize: 18,
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { StyleSheet, View, Text, TouchableOpacity, FlatList } from 'react-native';
+import { MODES, MODE_IDS, DEFAULT_MODE } from '../game/modes';
+import { entriesFor } from '../lib/leaderboard';
+
+const formatDuration = (seconds) => {
+  if (seconds == null) return '–';
+  const m = Math.floor(seconds / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return `${m}:${s}`;
+};
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : '–');
+
+// onWatch(entry): open the replay of an entry that has one
+export default function Leaderboard({ board, initialMode = DEFAULT_MODE, highlightId, onWatch, onBack }) {
+  const [mode, setMode] = useState(initialMode);
+  const entries = entriesFor(board, mode);
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">Leaderboard</Text>
+
+      <View style={styles.tabs} accessibilityRole="tablist">
+        {MODE_IDS.map(id => (
+          <TouchableOpacity
+            key={id}
+            accessibilityRole="tab"
+            accessibilityState={{ selected: id === mode }}
+            style={[styles.tab, id === mode && styles.tabActive]}
+            onPress={() => setMode(id)}
+          >
+            <Text style={[styles.tabText, id === mode && styles.tabTextActive]}>{MODES[id].name}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={[styles.row, styles.headerRow]} importantForAccessibility="no-hide-descendants" accessibilityElementsHidden>
+        <Text style={[styles.cell, styles.rank]}>#</Text>
+        <Text style={[styles.cell, styles.name]}>Name</Text>
+        <Text style={[styles.cell, styles.number]}>Score</Text>
+        <Text style={[styles.cell, styles.number]}>Lvl</Text>
+        <Text style={[styles.cell, styles.number]}>Time</Text>
+        <Text style={[styles.cell, styles.date]}>Date</Text>
+        <View style={styles.watch} />
+      </View>
+
+      <FlatList
+        style={styles.list}
+        data={entries}
+        keyExtractor={item => item.id}
+        ListEmptyComponent={<Text style={styles.empty}>No runs yet. Go set a score!</Text>}
+        renderItem={({ item, index }) => (
+          <View style={[styles.row, item.id === highlightId && styles.highlight]}>
+            <View
+              style={styles.entry}
+              accessible
+              accessibilityLabel={`Rank ${index + 1}, ${item.name}, ${item.score} points${item.level != null ? `, level ${item.level}` : ''}`}
+            >
+              <Text style={[styles.cell, styles.rank]}>{index + 1}</Text>
+              <Text style={[styles.cell, styles.name]} numberOfLines={1}>{item.name}</Text>
+              <Text style={[styles.cell, styles.number, styles.score]}>{item.score}</Text>
+              <Text style={[styles.cell, styles.number]}>{item.level ?? '–'}</Text>
+              <Text style={[styles.cell, styles.number]}>{formatDuration(item.duration)}</Text>
+              <Text style={[styles.cell, styles.date]}>{formatDate(item.date)}</Text>
+            </View>
+            {item.replayId && onWatch ? (
+              <TouchableOpacity
+                accessibilityRole="button"
+                accessibilityLabel={`Watch replay of ${item.name}'s run`}
+                style={styles.watch}
+                onPress={() => onWatch(item)}
+              >
+                <Text style={styles.watchText}>▶</Text>
+              </TouchableOpacity>
+            ) : (
+              <View style={styles.watch} />
+            )}
+          </View>
+        )}
+      />
+
+      <TouchableOpacity accessibilityRole="button" style={styles.backButton} onPress={onBack}>
+        <Text style={styles.backButtonText}>Back</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1a1a2e',
+    alignItems: 'center',
+    paddingTop: 60,
+    paddingHorizontal: 16,
+  },
+  title: {
+    fontSize: 36,
+    fontWeight: 'bold',
+    color: '#e94560',
+    marginBottom: 16,
+  },
+  tabs: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 16,
+  },
+  tab: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    margin: 4,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  tabActive: {
+    backgroundColor: '#4ECDC4',
+  },
+  tabText: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  tabTextActive: {
+    fontWeight: 'bold',
+  },
+  list: {
+    width: '100%',
+    maxWidth: 480,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    width: '100%',
+    maxWidth: 480,
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  entry: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  headerRow: {
+    borderBottomColor: 'rgba(255, 255, 255, 0.4)',
+  },
+  highlight: {
+    backgroundColor: 'rgba(78, 205, 196, 0.2)',
+  },
+  cell: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  rank: {
+    width: 28,
+    textAlign: 'center',
+  },
+  name: {
+    flex: 1,
+    paddingRight: 6,
+  },
+  number: {
+    width: 52,
+    textAlign: 'right',
+  },
+  score: {
+    fontWeight: 'bold',
+    color: '#4ECDC4',
+  },
+  date: {
+    width: 84,
+    textAlign: 'right',
+    color: 'rgba(255, 255, 255, 0.6)',
+  },
+  watch: {
+    width: 32,
+    alignItems: 'center',
+  },
+  watchText: {
+    color: '#4ECDC4',
+    fontSize: 16,
+  },
+  empty: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    textAlign: 'center',
+    marginTop: 30,
+    fontSize: 16,
+  },
+  backButton: {
+    paddingHorizontal: 30,
+    paddingVertical: 14,
+    marginBottom: 30,
+  },
+  backButtonText: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    fontSize: 18,
+  },
+});
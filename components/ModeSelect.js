@@ -0,0 +1,135 @@
+import React from 'react';
+import { StyleSheet, View, Text, TouchableOpacity, ScrollView } from 'react-native';
+import { MODES, MODE_IDS } from '../game/modes';
+
+// challenges: today's daily and this week's challenge, each with `best`
+// (null until played); streak: consecutive days of dailies played
+export default function ModeSelect({ highScores, challenges = [], streak = 0, onSelect, onChallenge, onBack }) {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">Choose a Mode</Text>
+      <ScrollView style={styles.list} contentContainerStyle={styles.listContent}>
+        {challenges.length > 0 && (
+          <Text style={styles.section} accessibilityRole="header">Challenges</Text>
+        )}
+        {challenges.map(challenge => (
+          <TouchableOpacity
+            key={challenge.id}
+            accessibilityRole="button"
+            accessibilityLabel={`${challenge.name}. ${challenge.description}. ${
+              challenge.best === null ? 'Not played yet' : `Best score ${challenge.best}`
+            }${challenge.kind === 'daily' && streak > 0 ? `. ${streak} day streak` : ''}`}
+            accessibilityHint="Starts this challenge"
+            style={[styles.card, styles.challengeCard]}
+            onPress={() => onChallenge(challenge.kind)}
+          >
+            <View style={styles.cardHeader}>
+              <Text style={styles.cardTitle}>{challenge.name}</Text>
+              <Text style={styles.cardBest}>{challenge.best === null ? 'New!' : `Best: ${challenge.best}`}</Text>
+            </View>
+            <Text style={styles.cardText}>{challenge.description}</Text>
+            {challenge.kind === 'daily' && streak > 0 && (
+              <Text style={styles.streak}>🔥 {streak} day streak</Text>
+            )}
+          </TouchableOpacity>
+        ))}
+        {challenges.length > 0 && (
+          <Text style={styles.section} accessibilityRole="header">Modes</Text>
+        )}
+        {MODE_IDS.map(id => (
+          <TouchableOpacity
+            key={id}
+            accessibilityRole="button"
+            accessibilityLabel={`${MODES[id].name}. ${MODES[id].description} Best score ${highScores[id] ?? 0}`}
+            accessibilityHint="Starts a run in this mode"
+            style={styles.card}
+            onPress={() => onSelect(id)}
+          >
+            <View style={styles.cardHeader}>
+              <Text style={styles.cardTitle}>{MODES[id].name}</Text>
+              <Text style={styles.cardBest}>Best: {highScores[id] ?? 0}</Text>
+            </View>
+            <Text style={styles.cardText}>{MODES[id].description}</Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+      <TouchableOpacity accessibilityRole="button" style={styles.backButton} onPress={onBack}>
+        <Text style={styles.backButtonText}>Back</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1a1a2e',
+    alignItems: 'center',
+    paddingTop: 60,
+    paddingHorizontal: 20,
+  },
+  title: {
+    fontSize: 36,
+    fontWeight: 'bold',
+    color: '#e94560',
+    marginBottom: 20,
+  },
+  list: {
+    width: '100%',
+    maxWidth: 400,
+  },
+  listContent: {
+    paddingBottom: 20,
+  },
+  section: {
+    color: '#4ECDC4',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  card: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    borderRadius: 15,
+    padding: 18,
+    marginBottom: 14,
+  },
+  challengeCard: {
+    borderWidth: 2,
+    borderColor: '#FFD166',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+    marginBottom: 6,
+  },
+  cardTitle: {
+    color: '#fff',
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  cardBest: {
+    color: '#4ECDC4',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  cardText: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    fontSize: 15,
+  },
+  streak: {
+    color: '#FFD166',
+    fontSize: 15,
+    fontWeight: 'bold',
+    marginTop: 8,
+  },
+  backButton: {
+    paddingHorizontal: 30,
+    paddingVertical: 14,
+    marginBottom: 30,
+  },
+  backButtonText: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    fontSize: 18,
+  },
+});
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { StyleSheet, View, Text, TextInput, TouchableOpacity, KeyboardAvoidingView, Platform } from 'react-native';
+import { MAX_NAME_LENGTH } from '../lib/leaderboard';
+
+// Shown over the game-over screen when a run makes the leaderboard
+export default function NameEntry({ score, rank, defaultName, onSubmit, onSkip }) {
+  const [name, setName] = useState(defaultName);
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.overlay}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <View style={styles.card}>
+        <Text style={styles.title} accessibilityRole="header">New High Score!</Text>
+        <Text style={styles.subtitle}>{score} points · #{rank} on the board</Text>
+        <TextInput
+          style={styles.input}
+          value={name}
+          onChangeText={setName}
+          placeholder="Your name"
+          accessibilityLabel="Name for the leaderboard"
+          placeholderTextColor="rgba(255, 255, 255, 0.4)"
+          maxLength={MAX_NAME_LENGTH}
+          autoFocus
+          returnKeyType="done"
+          onSubmitEditing={() => onSubmit(name)}
+        />
+        <View style={styles.buttons}>
+          <TouchableOpacity accessibilityRole="button" style={[styles.button, styles.skip]} onPress={onSkip}>
+            <Text style={styles.buttonText}>Skip</Text>
+          </TouchableOpacity>
+          <TouchableOpacity accessibilityRole="button" style={[styles.button, styles.save]} onPress={() => onSubmit(name)}>
+            <Text style={styles.buttonText}>Save</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 40,
+  },
+  card: {
+    width: '85%',
+    maxWidth: 360,
+    backgroundColor: '#1a1a2e',
+    borderRadius: 20,
+    padding: 24,
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#FFD166',
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#fff',
+    marginBottom: 20,
+  },
+  input: {
+    width: '100%',
+    borderWidth: 2,
+    borderColor: '#4ECDC4',
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    color: '#fff',
+    fontSize: 18,
+    marginBottom: 20,
+  },
+  buttons: {
+    flexDirection: 'row',
+  },
+  button: {
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 22,
+    marginHorizontal: 8,
+  },
+  skip: {
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  save: {
+    backgroundColor: '#4ECDC4',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,150 @@
+import React, { useState, useRef, useCallback } from 'react';
+import { StyleSheet, Text } from 'react-native';
+import Animated, { useSharedValue, useAnimatedStyle } from 'react-native-reanimated';
+import { COLOR_SYMBOLS } from '../game/palettes';
+import { POWERUPS } from '../game/powerups';
+
+export const OBSTACLE_POOL_SIZE = 64;
+export const STRESS_POOL_SIZE = 512;
+const STRIDE = 3; // x, y, angle per slot
+const OFFSCREEN = -10000;
+
+// Obstacles are drawn from a fixed pool of slots. Positions for every slot
+// live in one shared value written once per frame, so moving obstacles never
+// re-renders React; the view list only changes when obstacles come and go.
+export function useObstacleRenderer(poolSize = OBSTACLE_POOL_SIZE) {
+  const frame = useSharedValue(new Array(poolSize * STRIDE).fill(OFFSCREEN));
+  const [views, setViews] = useState([]);
+  const slotsById = useRef(new Map());
+  const freeSlots = useRef(Array.from({ length: poolSize }, (_, i) => poolSize - 1 - i));
+
+  const sync = useCallback((obstacles) => {
+    const slots = slotsById.current;
+    let changed = false;
+
+    const live = new Set();
+    for (const obs of obstacles) live.add(obs.id);
+    for (const [id, slot] of slots) {
+      if (!live.has(id)) {
+        slots.delete(id);
+        freeSlots.current.push(slot);
+        changed = true;
+      }
+    }
+
+    const data = new Array(poolSize * STRIDE).fill(OFFSCREEN);
+    for (const obs of obstacles) {
+      let slot = slots.get(obs.id);
+      if (slot === undefined) {
+        if (freeSlots.current.length === 0) continue; // pool exhausted, skip drawing
+        slot = freeSlots.current.pop();
+        slots.set(obs.id, slot);
+        changed = true;
+      }
+      data[slot * STRIDE] = obs.x;
+      data[slot * STRIDE + 1] = obs.y;
+      data[slot * STRIDE + 2] = obs.angle ?? 0;
+    }
+    frame.value = data;
+
+    if (changed) {
+      const byId = new Map(obstacles.map(o => [o.id, o]));
+      setViews(Array.from(slots, ([id, slot]) => {
+        const obs = byId.get(id);
+        return {
+          id,
+          slot,
+          colorIndex: obs.colorIndex,
+          powerup: obs.powerup,
+          width: obs.width,
+          height: obs.height,
+        };
+      }));
+    }
+  }, [frame, poolSize]);
+
+  const reset = useCallback(() => {
+    slotsById.current.clear();
+    freeSlots.current = Array.from({ length: poolSize }, (_, i) => poolSize - 1 - i);
+    frame.value = new Array(poolSize * STRIDE).fill(OFFSCREEN);
+    setViews([]);
+  }, [frame, poolSize]);
+
+  return { frame, views, sync, reset };
+}
+
+function PooledObstacle({ frame, slot, colorIndex, powerup, width, height, colors, symbols }) {
+  const style = useAnimatedStyle(() => ({
+    transform: [
+      { translateX: frame.value[slot * STRIDE] },
+      { translateY: frame.value[slot * STRIDE + 1] },
+      // Rotates about the block's centre, matching the collision shape
+      { rotate: `${frame.value[slot * STRIDE + 2]}deg` },
+    ],
+  }));
+  if (powerup) {
+    const info = POWERUPS[powerup];
+    return (
+      <Animated.View
+        style={[styles.pickup, { width, height, borderRadius: width / 2, borderColor: info.color }, style]}
+      >
+        <Text style={styles.pickupIcon}>{info.icon}</Text>
+      </Animated.View>
+    );
+  }
+  return (
+    <Animated.View
+      style={[styles.obstacle, { width, height, backgroundColor: colors[colorIndex] }, style]}
+    >
+      {symbols && <Text style={styles.symbol}>{COLOR_SYMBOLS[colorIndex]}</Text>}
+    </Animated.View>
+  );
+}
+
+// colors: the active palette; symbols: draw each colour's symbol on its blocks
+export default function ObstacleLayer({ renderer, colors, symbols = false }) {
+  return renderer.views.map(v => (
+    <PooledObstacle
+      key={v.id}
+      frame={renderer.frame}
+      slot={v.slot}
+      colorIndex={v.colorIndex}
+      powerup={v.powerup}
+      width={v.width}
+      height={v.height}
+      colors={colors}
+      symbols={symbols}
+    />
+  ));
+}
+
+const styles = StyleSheet.create({
+  obstacle: {
+    position: 'absolute',
+    left: 0,
+    top: 0,
+    borderRadius: 10,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  symbol: {
+    color: 'white',
+    fontSize: 22,
+    fontWeight: 'bold',
+    textShadowColor: 'rgba(0, 0, 0, 0.8)',
+    textShadowOffset: { width: 0, height: 0 },
+    textShadowRadius: 3,
+  },
+  pickup: {
+    position: 'absolute',
+    left: 0,
+    top: 0,
+    borderWidth: 3,
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  pickupIcon: {
+    fontSize: 18,
+  },
+});
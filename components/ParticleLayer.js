@@ -0,0 +1,61 @@
+import React, { useCallback } from 'react';
+import Animated, { useSharedValue, useAnimatedStyle, useFrameCallback } from 'react-native-reanimated';
+import { stepParticle } from '../game/particles';
+
+export const PARTICLE_POOL_SIZE = 96;
+
+// Particles live entirely in a shared value and are simulated on the UI
+// thread by a frame callback; the JS side only hands over new bursts.
+export function useParticles(poolSize = PARTICLE_POOL_SIZE) {
+  const pool = useSharedValue(new Array(poolSize).fill(null));
+
+  const frameCallback = useFrameCallback((info) => {
+    const dt = (info.timeSincePreviousFrame ?? 16) / 1000;
+    pool.modify((list) => {
+      'worklet';
+      for (let i = 0; i < list.length; i++) {
+        if (list[i]) list[i] = stepParticle(list[i], dt);
+      }
+      return list;
+    });
+  });
+
+  const emit = useCallback((burst) => {
+    pool.modify((list) => {
+      'worklet';
+      let next = 0;
+      for (let i = 0; i < list.length && next < burst.length; i++) {
+        if (!list[i]) list[i] = burst[next++];
+      }
+      return list;
+    });
+  }, [pool]);
+
+  const clear = useCallback(() => {
+    pool.value = new Array(poolSize).fill(null);
+  }, [pool, poolSize]);
+
+  return { pool, poolSize, emit, clear, frameCallback };
+}
+
+function PooledParticle({ pool, slot }) {
+  const style = useAnimatedStyle(() => {
+    const p = pool.value[slot];
+    if (!p) return { opacity: 0 };
+    return {
+      opacity: p.opacity,
+      backgroundColor: p.color,
+      width: p.size,
+      height: p.size,
+      borderRadius: p.size / 2,
+      transform: [{ translateX: p.x }, { translateY: p.y }],
+    };
+  });
+  return <Animated.View pointerEvents="none" style={[{ position: 'absolute', left: 0, top: 0 }, style]} />;
+}
+
+export default function ParticleLayer({ particles }) {
+  return Array.from({ length: particles.poolSize }, (_, slot) => (
+    <PooledParticle key={slot} pool={particles.pool} slot={slot} />
+  ));
+}
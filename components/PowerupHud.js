@@ -0,0 +1,47 @@
+import React from 'react';
+import { StyleSheet, View, Text } from 'react-native';
+import { POWERUPS } from '../game/powerups';
+
+// Active power-ups shown under the score: icon plus whole seconds left
+export default function PowerupHud({ active }) {
+  if (active.length === 0) return null;
+  return (
+    <View style={styles.container} pointerEvents="none">
+      {active.map(({ kind, remaining }) => (
+        <View key={kind} style={[styles.badge, { borderColor: POWERUPS[kind].color }]}>
+          <Text style={styles.icon}>{POWERUPS[kind].icon}</Text>
+          {remaining > 0 && <Text style={styles.time}>{remaining}s</Text>}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 76,
+    left: 20,
+    flexDirection: 'row',
+    zIndex: 10,
+  },
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 2,
+    borderRadius: 14,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginRight: 8,
+    backgroundColor: 'rgba(0, 0, 0, 0.35)',
+  },
+  icon: {
+    fontSize: 16,
+  },
+  time: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginLeft: 4,
+  },
+});
@@ -0,0 +1,293 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { StyleSheet, View, Text, TouchableOpacity, Alert, useWindowDimensions } from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import Animated, { useSharedValue, useAnimatedStyle } from 'react-native-reanimated';
+import { createPlayback } from '../game/replay';
+import { startLoop, interpolateObstacles } from '../game/loop';
+import { getMode } from '../game/modes';
+import { paletteColors } from '../game/palettes';
+import { PLAYER_SIZE, FIELD_WIDTH, FIELD_HEIGHT, HUD_FONT_SCALE } from '../game/constants';
+import ObstacleLayer, { useObstacleRenderer } from './ObstacleLayer';
+import Slider from './Slider';
+import { useSettings } from './SettingsContext';
+import { fieldLayout, fieldTransform } from './fieldLayout';
+import { exportReplay } from '../lib/replays';
+
+// Room under the field for the transport controls
+const CONTROLS_HEIGHT = 150;
+const SPEEDS = [1, 2];
+// The timeline and clock re-render every few steps rather than every frame
+const TIMELINE_STEPS = 6;
+
+const formatTime = (seconds) => {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+// Plays a recorded run back through the engine. Playback re-simulates from
+// the seed, so a replay made by an older build may drift; the viewer says so
+// when the end result doesn't match what was recorded.
+// onRace(replay): play the replay's seed and mode, racing its ghost
+export default function ReplayViewer({ replay, onRace, onClose }) {
+  const playback = useRef(null);
+  if (playback.current === null) {
+    playback.current = createPlayback(replay, { width: FIELD_WIDTH, height: FIELD_HEIGHT });
+  }
+  const start = playback.current.state();
+  const playerPos = useSharedValue(start.player.x);
+  const playerColor = useSharedValue(start.player.colorIndex);
+  const obstacleRenderer = useObstacleRenderer();
+  const [playing, setPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+  const [position, setPosition] = useState(0);
+  const [score, setScore] = useState(0);
+  const [level, setLevel] = useState(1);
+  const [mismatch, setMismatch] = useState(false);
+  const { settings } = useSettings();
+  const colors = paletteColors(settings.palette);
+
+  const windowSize = useWindowDimensions();
+  const insets = useSafeAreaInsets();
+  const field = fieldLayout({ width: windowSize.width, height: windowSize.height - CONTROLS_HEIGHT }, insets);
+
+  const length = playback.current.length;
+  const obstacleSync = obstacleRenderer.sync;
+
+  const show = useCallback((state, obstacles = state.obstacles, x = state.player.x) => {
+    obstacleSync(obstacles);
+    playerPos.value = x;
+    playerColor.value = state.player.colorIndex;
+    setScore(state.score);
+    setLevel(state.level);
+  }, [obstacleSync, playerPos, playerColor]);
+
+  const reachedEnd = useCallback((state) => {
+    setPlaying(false);
+    setPosition(length);
+    setMismatch(state.score !== replay.result.score);
+  }, [length, replay]);
+
+  const seek = useCallback((value) => {
+    const state = playback.current.seek(value * length);
+    setPosition(playback.current.position());
+    show(state);
+  }, [length, show]);
+
+  useEffect(() => {
+    show(playback.current.state());
+  }, [show]);
+
+  // Steps run on replay.stepDt like the live game; 2x takes two per tick
+  useEffect(() => {
+    if (!playing) return;
+    const run = playback.current;
+    if (run.position() >= length) run.seek(0);
+    let previous = run.state();
+    let lastShown = run.position();
+    return startLoop({
+      stepDt: replay.stepDt,
+      update: () => {
+        previous = run.state();
+        run.seek(run.position() + speed);
+        if (run.position() >= length) reachedEnd(run.state());
+        else if (run.position() - lastShown >= TIMELINE_STEPS) {
+          lastShown = run.position();
+          setPosition(lastShown);
+        }
+      },
+      render: (alpha) => {
+        const state = run.state();
+        const x = previous.player.x + (state.player.x - previous.player.x) * alpha;
+        show(state, interpolateObstacles(previous.obstacles, state.obstacles, alpha), x);
+      },
+    });
+  }, [playing, speed, length, replay, show, reachedEnd]);
+
+  const playerStyle = useAnimatedStyle(() => ({
+    transform: [{ translateX: playerPos.value }, { translateY: start.player.y }],
+    backgroundColor: colors[playerColor.value],
+  }));
+
+  const pauses = replay.marks.filter(([, type]) => type === 'pause');
+  const elapsed = position * replay.stepDt;
+  const total = length * replay.stepDt;
+
+  return (
+    <View style={styles.container} accessibilityViewIsModal>
+      <View style={[styles.field, fieldTransform(field)]} pointerEvents="none">
+        <Animated.View style={[styles.player, playerStyle]} />
+        <ObstacleLayer renderer={obstacleRenderer} colors={colors} symbols={settings.colorSymbols} />
+      </View>
+
+      <View style={[styles.header, { top: insets.top + 12, left: insets.left + 20, right: insets.right + 20 }]}>
+        <Text style={styles.score} maxFontSizeMultiplier={HUD_FONT_SCALE}>Score: {score}</Text>
+        <Text style={styles.title} maxFontSizeMultiplier={HUD_FONT_SCALE}>Replay · {getMode(replay.mode).name}</Text>
+        <Text style={styles.level} maxFontSizeMultiplier={HUD_FONT_SCALE}>Level: {level}</Text>
+      </View>
+
+      <View style={[styles.controls, { paddingBottom: insets.bottom + 12 }]}>
+        {mismatch && (
+          <Text style={styles.warning}>
+            Playback ended on {score} points but the run scored {replay.result.score}. It was probably recorded by a
+            different version of the game.
+          </Text>
+        )}
+        <View style={styles.timeline}>
+          {pauses.map(([at], i) => (
+            <View key={i} style={[styles.pauseMark, { left: `${(at / Math.max(1, length)) * 100}%` }]} />
+          ))}
+          <Slider
+            label="Replay position"
+            value={length > 0 ? position / length : 0}
+            step={0.002}
+            valueText={`${formatTime(elapsed)} of ${formatTime(total)}`}
+            onChange={seek}
+          />
+        </View>
+        <View style={styles.row}>
+          <Text style={styles.time}>{formatTime(elapsed)} / {formatTime(total)}</Text>
+          <TouchableOpacity
+            accessibilityRole="button"
+            accessibilityLabel={playing ? 'Pause replay' : 'Play replay'}
+            style={styles.playButton}
+            onPress={() => setPlaying(on => !on)}
+          >
+            <Text style={styles.buttonText}>{playing ? '⏸' : '▶'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            accessibilityRole="button"
+            accessibilityLabel={`Playback speed ${speed}x`}
+            style={styles.smallButton}
+            onPress={() => setSpeed(SPEEDS[(SPEEDS.indexOf(speed) + 1) % SPEEDS.length])}
+          >
+            <Text style={styles.buttonText}>{speed}x</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            accessibilityRole="button"
+            accessibilityLabel="Export replay"
+            style={styles.smallButton}
+            onPress={async () => {
+              if (!(await exportReplay(replay))) {
+                Alert.alert('Export failed', 'The replay could not be saved as a file on this device.');
+              }
+            }}
+          >
+            <Text style={styles.buttonText}>Export</Text>
+          </TouchableOpacity>
+          {onRace && (
+            <TouchableOpacity
+              accessibilityRole="button"
+              accessibilityLabel="Race this run"
+              style={styles.smallButton}
+              onPress={() => onRace(replay)}
+            >
+              <Text style={styles.buttonText}>Race</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity accessibilityRole="button" style={styles.smallButton} onPress={onClose}>
+            <Text style={styles.buttonText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#0f1020',
+    zIndex: 40,
+  },
+  field: {
+    position: 'absolute',
+    left: 0,
+    top: 0,
+    width: FIELD_WIDTH,
+    height: FIELD_HEIGHT,
+    overflow: 'hidden',
+    backgroundColor: 'rgba(255, 255, 255, 0.03)',
+  },
+  player: {
+    position: 'absolute',
+    width: PLAYER_SIZE,
+    height: PLAYER_SIZE,
+    borderRadius: PLAYER_SIZE / 2,
+    zIndex: 5,
+  },
+  header: {
+    position: 'absolute',
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  score: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  title: {
+    fontSize: 16,
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  level: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#4ECDC4',
+  },
+  controls: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    minHeight: CONTROLS_HEIGHT,
+    justifyContent: 'flex-end',
+    paddingHorizontal: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  warning: {
+    color: '#FFD166',
+    fontSize: 14,
+    marginTop: 8,
+  },
+  timeline: {
+    marginTop: 8,
+  },
+  pauseMark: {
+    position: 'absolute',
+    top: 0,
+    width: 2,
+    height: 8,
+    marginLeft: -1,
+    backgroundColor: '#FFD166',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  time: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    fontSize: 14,
+    width: 90,
+  },
+  playButton: {
+    width: 52,
+    height: 52,
+    borderRadius: 26,
+    backgroundColor: '#4ECDC4',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  smallButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderRadius: 18,
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,36 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { DEFAULT_SETTINGS, sanitizeSettings } from '../lib/settings';
+import { saveStore } from '../lib/storage';
+
+const SettingsContext = createContext({ settings: DEFAULT_SETTINGS, updateSettings: () => {} });
+
+// Shares settings between the game, the audio code and the settings route.
+// Changes apply immediately and are written through the save store.
+export function SettingsProvider({ children }) {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const data = await saveStore.load();
+        setSettings(sanitizeSettings(data.settings));
+      } catch (e) {
+        console.warn('Failed to load settings:', e?.message || String(e));
+      }
+    })();
+  }, []);
+
+  // patch: any subset of the settings fields
+  const updateSettings = useCallback((patch) => {
+    const next = sanitizeSettings({ ...sanitizeSettings(saveStore.get().settings), ...patch });
+    saveStore.update(data => ({ ...data, settings: next }));
+    setSettings(next);
+  }, []);
+
+  const value = useMemo(() => ({ settings, updateSettings }), [settings, updateSettings]);
+  return <SettingsContext.Provider value={value}>{children}</SettingsContext.Provider>;
+}
+
+export function useSettings() {
+  return useContext(SettingsContext);
+}
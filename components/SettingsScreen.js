@@ -0,0 +1,308 @@
+import React from 'react';
+import { StyleSheet, View, Text, TouchableOpacity, ScrollView, Switch } from 'react-native';
+import Slider from './Slider';
+import { useSettings } from './SettingsContext';
+import { CONTROL_SCHEMES, COLOR_CONTROLS, HAPTIC_INTENSITIES } from '../lib/settings';
+import { PALETTES, PALETTE_IDS, COLOR_SYMBOLS } from '../game/palettes';
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+function Row({ label, children }) {
+  return (
+    <View style={styles.row}>
+      <Text style={styles.rowLabel} accessibilityRole="header">{label}</Text>
+      {children}
+    </View>
+  );
+}
+
+// options: { value: label }
+function Choice({ options, value, onChange, disabled = false }) {
+  return (
+    <View style={[styles.choice, disabled && styles.disabled]} accessibilityRole="radiogroup">
+      {Object.entries(options).map(([key, label]) => (
+        <TouchableOpacity
+          key={key}
+          accessibilityRole="radio"
+          accessibilityState={{ checked: key === value, disabled }}
+          style={[styles.choiceOption, key === value && styles.choiceSelected]}
+          disabled={disabled}
+          onPress={() => onChange(key)}
+        >
+          <Text style={[styles.choiceText, key === value && styles.choiceTextSelected]}>{label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+function Toggle({ label, value, onChange }) {
+  return (
+    <Switch
+      accessibilityLabel={label}
+      value={value}
+      onValueChange={onChange}
+      trackColor={{ false: 'rgba(255, 255, 255, 0.2)', true: '#4ECDC4' }}
+      thumbColor="white"
+    />
+  );
+}
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+function PalettePicker({ value, symbols, onChange }) {
+  return PALETTE_IDS.map(id => (
+    <TouchableOpacity
+      key={id}
+      accessibilityRole="radio"
+      accessibilityLabel={`${PALETTES[id].name} palette`}
+      accessibilityState={{ checked: id === value }}
+      style={[styles.palette, id === value && styles.choiceSelected]}
+      onPress={() => onChange(id)}
+    >
+      <Text style={[styles.choiceText, id === value && styles.choiceTextSelected]}>{PALETTES[id].name}</Text>
+      <View style={styles.swatches}>
+        {PALETTES[id].colors.map((color, i) => (
+          <View key={color} style={[styles.swatch, { backgroundColor: color }]}>
+            {symbols && <Text style={styles.swatchSymbol}>{COLOR_SYMBOLS[i]}</Text>}
+          </View>
+        ))}
+      </View>
+    </TouchableOpacity>
+  ));
+}
+
+export default function SettingsScreen({ onBack }) {
+  const { settings, updateSettings } = useSettings();
+  const intensities = Object.fromEntries(HAPTIC_INTENSITIES.map(key => [key, capitalize(key)]));
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title} accessibilityRole="header">Settings</Text>
+      <ScrollView style={styles.list} contentContainerStyle={styles.listContent}>
+        <Text style={styles.section}>Audio</Text>
+        <Row label={`Music volume · ${percent(settings.musicVolume)}`}>
+          <Slider
+            label="Music volume"
+            value={settings.musicVolume}
+            onChange={(musicVolume) => updateSettings({ musicVolume })}
+          />
+        </Row>
+        <Row label={`Sound effects · ${percent(settings.sfxVolume)}`}>
+          <Slider
+            label="Sound effects volume"
+            value={settings.sfxVolume}
+            onChange={(sfxVolume) => updateSettings({ sfxVolume })}
+          />
+        </Row>
+
+        <Text style={styles.section}>Haptics</Text>
+        <View style={styles.inlineRow}>
+          <Text style={styles.rowLabel}>Vibration</Text>
+          <Toggle label="Vibration" value={settings.haptics} onChange={(haptics) => updateSettings({ haptics })} />
+        </View>
+        <Row label="Intensity">
+          <Choice
+            options={intensities}
+            value={settings.hapticIntensity}
+            disabled={!settings.haptics}
+            onChange={(hapticIntensity) => updateSettings({ hapticIntensity })}
+          />
+        </Row>
+
+        <Text style={styles.section}>Controls</Text>
+        <Row label="Movement">
+          <Choice
+            options={CONTROL_SCHEMES}
+            value={settings.controlScheme}
+            onChange={(controlScheme) => updateSettings({ controlScheme })}
+          />
+        </Row>
+        <Row label="Colour change">
+          <Choice
+            options={COLOR_CONTROLS}
+            value={settings.colorControl}
+            onChange={(colorControl) => updateSettings({ colorControl })}
+          />
+        </Row>
+        <View style={styles.inlineRow}>
+          <View style={styles.inlineLabel}>
+            <Text style={styles.rowLabel}>Assistive controls</Text>
+            <Text style={styles.hint}>Move buttons and a colour picker on screen</Text>
+          </View>
+          <Toggle
+            label="Assistive controls"
+            value={settings.assistiveControls}
+            onChange={(assistiveControls) => updateSettings({ assistiveControls })}
+          />
+        </View>
+        <View style={styles.inlineRow}>
+          <Text style={styles.rowLabel}>Left-handed layout</Text>
+          <Toggle label="Left-handed layout" value={settings.leftHanded} onChange={(leftHanded) => updateSettings({ leftHanded })} />
+        </View>
+
+        <Text style={styles.section}>Colours</Text>
+        <Row label="Palette">
+          <PalettePicker
+            value={settings.palette}
+            symbols={settings.colorSymbols}
+            onChange={(palette) => updateSettings({ palette })}
+          />
+        </Row>
+        <View style={styles.inlineRow}>
+          <View style={styles.inlineLabel}>
+            <Text style={styles.rowLabel}>Colour symbols</Text>
+            <Text style={styles.hint}>Mark each colour with its own shape</Text>
+          </View>
+          <Toggle label="Colour symbols" value={settings.colorSymbols} onChange={(colorSymbols) => updateSettings({ colorSymbols })} />
+        </View>
+
+        <Text style={styles.section}>Gameplay</Text>
+        <View style={styles.inlineRow}>
+          <View style={styles.inlineLabel}>
+            <Text style={styles.rowLabel}>Reduced motion</Text>
+            <Text style={styles.hint}>No screen shake or particles</Text>
+          </View>
+          <Toggle label="Reduced motion" value={settings.reducedMotion} onChange={(reducedMotion) => updateSettings({ reducedMotion })} />
+        </View>
+        <View style={styles.inlineRow}>
+          <View style={styles.inlineLabel}>
+            <Text style={styles.rowLabel}>Ghost racing</Text>
+            <Text style={styles.hint}>Replaying a seed races your best run on it</Text>
+          </View>
+          <Toggle label="Ghost racing" value={settings.ghost} onChange={(ghost) => updateSettings({ ghost })} />
+        </View>
+      </ScrollView>
+      <TouchableOpacity accessibilityRole="button" style={styles.backButton} onPress={onBack}>
+        <Text style={styles.backButtonText}>Back</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1a1a2e',
+    alignItems: 'center',
+    paddingTop: 60,
+    paddingHorizontal: 20,
+  },
+  title: {
+    fontSize: 36,
+    fontWeight: 'bold',
+    color: '#e94560',
+    marginBottom: 20,
+  },
+  list: {
+    width: '100%',
+    maxWidth: 400,
+  },
+  listContent: {
+    paddingBottom: 20,
+  },
+  section: {
+    color: '#4ECDC4',
+    fontSize: 16,
+    fontWeight: 'bold',
+    textTransform: 'uppercase',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  row: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    borderRadius: 15,
+    paddingHorizontal: 18,
+    paddingVertical: 12,
+    marginBottom: 10,
+  },
+  inlineRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    borderRadius: 15,
+    paddingHorizontal: 18,
+    paddingVertical: 12,
+    marginBottom: 10,
+  },
+  inlineLabel: {
+    flex: 1,
+  },
+  rowLabel: {
+    color: '#fff',
+    fontSize: 17,
+    marginBottom: 4,
+  },
+  hint: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 13,
+  },
+  choice: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 4,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  choiceOption: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  choiceSelected: {
+    borderColor: '#4ECDC4',
+    backgroundColor: 'rgba(78, 205, 196, 0.2)',
+  },
+  choiceText: {
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontSize: 15,
+  },
+  choiceTextSelected: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  palette: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    marginTop: 4,
+  },
+  swatches: {
+    flexDirection: 'row',
+    gap: 6,
+  },
+  swatch: {
+    width: 26,
+    height: 26,
+    borderRadius: 6,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  swatchSymbol: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: 'bold',
+    textShadowColor: 'rgba(0, 0, 0, 0.8)',
+    textShadowOffset: { width: 0, height: 0 },
+    textShadowRadius: 2,
+  },
+  backButton: {
+    paddingHorizontal: 30,
+    paddingVertical: 14,
+    marginBottom: 30,
+  },
+  backButtonText: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    fontSize: 18,
+  },
+});
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { StyleSheet, View } from 'react-native';
+import { GestureDetector, Gesture } from 'react-native-gesture-handler';
+
+const THUMB_SIZE = 24;
+
+// Horizontal 0..1 slider; touching or dragging anywhere on the track sets the
+// value. Screen readers adjust it a step at a time and hear valueText, or a
+// percentage without one.
+export default function Slider({ label, value, onChange, step = 0.05, disabled = false, valueText }) {
+  const [trackWidth, setTrackWidth] = useState(0);
+
+  const setFromX = (x) => {
+    if (trackWidth <= 0) return;
+    const raw = Math.min(1, Math.max(0, x / trackWidth));
+    onChange(Math.round(raw / step) * step);
+  };
+
+  const nudge = (event) => {
+    const direction = event.nativeEvent.actionName === 'increment' ? 1 : -1;
+    onChange(Math.min(1, Math.max(0, Math.round((value + direction * step) / step) * step)));
+  };
+
+  const gesture = Gesture.Pan()
+    .runOnJS(true)
+    .enabled(!disabled)
+    .minDistance(0)
+    .onBegin((e) => setFromX(e.x))
+    .onUpdate((e) => setFromX(e.x));
+
+  return (
+    <GestureDetector gesture={gesture}>
+      <View
+        style={[styles.container, disabled && styles.disabled]}
+        onLayout={(e) => setTrackWidth(e.nativeEvent.layout.width)}
+        accessible
+        accessibilityRole="adjustable"
+        accessibilityLabel={label}
+        accessibilityState={{ disabled }}
+        accessibilityValue={{ min: 0, max: 100, now: Math.round(value * 100), text: valueText ?? `${Math.round(value * 100)}%` }}
+        accessibilityActions={[{ name: 'increment' }, { name: 'decrement' }]}
+        onAccessibilityAction={disabled ? undefined : nudge}
+      >
+        <View style={styles.track}>
+          <View style={[styles.fill, { width: `${value * 100}%` }]} />
+        </View>
+        <View style={[styles.thumb, { left: value * trackWidth - THUMB_SIZE / 2 }]} />
+      </View>
+    </GestureDetector>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    height: THUMB_SIZE + 12,
+    justifyContent: 'center',
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+  track: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    overflow: 'hidden',
+  },
+  fill: {
+    height: '100%',
+    backgroundColor: '#4ECDC4',
+  },
+  thumb: {
+    position: 'absolute',
+    width: THUMB_SIZE,
+    height: THUMB_SIZE,
+    borderRadius: THUMB_SIZE / 2,
+    backgroundColor: 'white',
+  },
+});
@@ -0,0 +1,27 @@
+import { FIELD_WIDTH, FIELD_HEIGHT } from '../game/constants';
+
+// Largest scale at which the logical field fits inside the safe area, and
+// where its top-left corner lands on screen, centred
+export function fieldLayout(window, insets) {
+  const width = window.width - insets.left - insets.right;
+  const height = window.height - insets.top - insets.bottom;
+  const scale = Math.min(width / FIELD_WIDTH, height / FIELD_HEIGHT);
+  return {
+    scale,
+    left: insets.left + (width - FIELD_WIDTH * scale) / 2,
+    top: insets.top + (height - FIELD_HEIGHT * scale) / 2,
+  };
+}
+
+// Style placing a FIELD_WIDTH x FIELD_HEIGHT view at `field`. Transforms
+// apply around the view's centre, so shift by the part of the field that
+// scaling pulls inwards.
+export function fieldTransform(field) {
+  return {
+    transform: [
+      { translateX: field.left - (FIELD_WIDTH / 2) * (1 - field.scale) },
+      { translateY: field.top - (FIELD_HEIGHT / 2) * (1 - field.scale) },
+      { scale: field.scale },
+    ],
+  };
+}
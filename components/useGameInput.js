@@ -0,0 +1,100 @@
+import { useRef, useEffect, useCallback } from 'react';
+import { Platform } from 'react-native';
+import {
+  createInputQueue, KEY_BINDINGS, GAMEPAD_BUTTONS, GAMEPAD_DEADZONE, MENU_KEY_BINDINGS, MENU_GAMEPAD_BUTTONS,
+} from '../game/input';
+
+const isWeb = Platform.OS === 'web' && typeof window !== 'undefined';
+const isHeld = (action) => action.type === 'moveLeft' || action.type === 'moveRight';
+const PAD_BUTTONS = [...new Set([...Object.keys(GAMEPAD_BUTTONS), ...Object.keys(MENU_GAMEPAD_BUTTONS)])];
+
+// Keys typed into a text field (a name for the leaderboard) aren't game input
+const isEditable = (target) =>
+  Boolean(target && (target.isContentEditable || target.tagName === 'INPUT' || target.tagName === 'TEXTAREA'));
+
+// Input queue for a run, with the keyboard and Gamepad API adapters for the
+// web target. Touch controls call dispatch() directly; the game loop calls
+// take() once per engine step, which is also when gamepads are polled.
+// While paused only pause and confirm get through, to onPause and onConfirm,
+// and gamepads are polled every frame instead since the loop has stopped.
+// `active` is false while another screen covers the game; keys and pads are
+// ignored then, so they can't pause or resume it unseen.
+export function useGameInput({ paused, onPause, onConfirm, active = true }) {
+  const queue = useRef(null);
+  if (queue.current === null) queue.current = createInputQueue();
+  const latest = useRef({ paused, onPause, onConfirm, active });
+  latest.current = { paused, onPause, onConfirm, active };
+  // `${pad}:${button}` -> pressed at the last poll, for press edges
+  const padButtons = useRef(new Map());
+
+  const dispatch = useCallback((action, source) => {
+    if (action.type === 'pause') latest.current.onPause?.();
+    else if (action.type === 'confirm') latest.current.onConfirm?.();
+    else if (!latest.current.paused) queue.current.dispatch(action, source);
+  }, []);
+
+  // Anything held or queued when the game pauses is dropped, not replayed later
+  useEffect(() => {
+    if (paused || !active) queue.current.clear();
+  }, [paused, active]);
+
+  useEffect(() => {
+    if (!isWeb) return;
+    const onKey = (pressed) => (e) => {
+      if (!latest.current.active || isEditable(e.target)) return;
+      const action = (latest.current.paused && MENU_KEY_BINDINGS[e.key]) || KEY_BINDINGS[e.key];
+      if (!action) return;
+      e.preventDefault();
+      if (isHeld(action)) dispatch({ ...action, pressed }, e.code);
+      else if (pressed && !e.repeat) dispatch(action);
+    };
+    const onKeyDown = onKey(true);
+    const onKeyUp = onKey(false);
+    const onBlur = () => queue.current.clear();
+    window.addEventListener('keydown', onKeyDown);
+    window.addEventListener('keyup', onKeyUp);
+    window.addEventListener('blur', onBlur);
+    return () => {
+      window.removeEventListener('keydown', onKeyDown);
+      window.removeEventListener('keyup', onKeyUp);
+      window.removeEventListener('blur', onBlur);
+    };
+  }, [dispatch]);
+
+  // Returns the left stick's horizontal axis summed over connected pads
+  const pollGamepads = useCallback(() => {
+    if (!isWeb || !latest.current.active || typeof navigator === 'undefined' || !navigator.getGamepads) return 0;
+    let analog = 0;
+    for (const pad of navigator.getGamepads()) {
+      if (!pad) continue;
+      const stick = pad.axes[0] ?? 0;
+      if (Math.abs(stick) > GAMEPAD_DEADZONE) analog += stick;
+      for (const button of PAD_BUTTONS) {
+        const action = (latest.current.paused && MENU_GAMEPAD_BUTTONS[button]) || GAMEPAD_BUTTONS[button];
+        if (!action) continue;
+        const key = `${pad.index}:${button}`;
+        const pressed = Boolean(pad.buttons[button]?.pressed);
+        const was = padButtons.current.get(key) ?? false;
+        if (pressed === was) continue;
+        padButtons.current.set(key, pressed);
+        if (isHeld(action)) dispatch({ ...action, pressed }, `pad${key}`);
+        else if (pressed) dispatch(action);
+      }
+    }
+    return analog;
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (!isWeb || !paused || !active) return;
+    let frame = requestAnimationFrame(function poll() {
+      pollGamepads();
+      frame = requestAnimationFrame(poll);
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [paused, active, pollGamepads]);
+
+  const take = useCallback(() => queue.current.take(pollGamepads()), [pollGamepads]);
+  const clear = useCallback(() => queue.current.clear(), []);
+
+  return { dispatch, take, clear };
+}
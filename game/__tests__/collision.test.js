@@ -0,0 +1,93 @@
+import { describe, it, expect } from '@jest/globals';
+import { angleDelta, distanceToRect, circleHitsRect, sweptCircleHitsRect } from '../collision';
+
+const block = (overrides = {}) => ({ x: 100, y: 100, width: 80, height: 20, angle: 0, ...overrides });
+
+describe('angleDelta', () => {
+  it('takes the short way round', () => {
+    expect(angleDelta(350, 10)).toBe(20);
+    expect(angleDelta(10, 350)).toBe(-20);
+    expect(angleDelta(0, 180)).toBe(180);
+  });
+});
+
+describe('distanceToRect', () => {
+  it('is 0 inside and on the edge', () => {
+    expect(distanceToRect(140, 110, block())).toBe(0);
+    expect(distanceToRect(100, 110, block())).toBe(0);
+  });
+
+  it('measures straight out from an edge', () => {
+    expect(distanceToRect(140, 90, block())).toBeCloseTo(10);
+    expect(distanceToRect(190, 110, block())).toBeCloseTo(10);
+  });
+
+  it('measures diagonally out from a corner', () => {
+    expect(distanceToRect(190, 130, block())).toBeCloseTo(Math.hypot(10, 10));
+  });
+
+  it('rotates the rectangle about its centre', () => {
+    // Turned a quarter, the 80x20 block stands 80 tall around (140, 110)
+    const upright = block({ angle: 90 });
+    expect(distanceToRect(140, 145, upright)).toBeCloseTo(0);
+    expect(distanceToRect(165, 110, upright)).toBeCloseTo(15);
+    expect(distanceToRect(140, 160, upright)).toBeCloseTo(10);
+  });
+});
+
+describe('circleHitsRect', () => {
+  it('counts touching an edge as a hit', () => {
+    expect(circleHitsRect({ x: 140, y: 80, r: 20 }, block())).toBe(true);
+    expect(circleHitsRect({ x: 140, y: 79.9, r: 20 }, block())).toBe(false);
+  });
+
+  it('misses past a corner that an axis-aligned box test would hit', () => {
+    // The circle's bounding box overlaps the block, but the corner is 14.1 away
+    expect(circleHitsRect({ x: 190, y: 130, r: 14 }, block())).toBe(false);
+    expect(circleHitsRect({ x: 190, y: 130, r: 14.2 }, block())).toBe(true);
+  });
+
+  it('follows a rotated block rather than its unrotated box', () => {
+    const tilted = block({ angle: 45 });
+    const along = 35 * Math.SQRT1_2;
+    // 35 out along the tilted long axis, below the flat block's bottom edge
+    expect(circleHitsRect({ x: 140 + along, y: 110 + along, r: 1 }, tilted)).toBe(true);
+    expect(circleHitsRect({ x: 140 + along, y: 110 + along, r: 1 }, block())).toBe(false);
+    // 35 out along the flat long axis, well clear of the tilted block
+    expect(circleHitsRect({ x: 175, y: 110, r: 1 }, tilted)).toBe(false);
+    expect(circleHitsRect({ x: 175, y: 110, r: 1 }, block())).toBe(true);
+  });
+});
+
+describe('sweptCircleHitsRect', () => {
+  const player = { x: 140, y: 400, r: 20 };
+
+  it('catches a fast block that crosses the player within one step', () => {
+    const from = block({ y: 300 });
+    const to = block({ y: 500 });
+    expect(circleHitsRect(player, from)).toBe(false);
+    expect(circleHitsRect(player, to)).toBe(false);
+    expect(sweptCircleHitsRect(player, from, to)).toBe(true);
+  });
+
+  it('does not hit a fast block that passes beside the player', () => {
+    expect(sweptCircleHitsRect({ ...player, x: 240 }, block({ y: 300 }), block({ y: 500 }))).toBe(false);
+  });
+
+  it('catches a block that turns its end through the player', () => {
+    // Diagonally off the block's centre: clear of it lying flat and standing
+    // upright, but on the long axis halfway through the quarter turn
+    const diagonal = { x: 140 + 30 * Math.SQRT1_2, y: 110 + 30 * Math.SQRT1_2, r: 3 };
+    const flat = block();
+    const upright = block({ angle: 90 });
+    expect(circleHitsRect(diagonal, flat)).toBe(false);
+    expect(circleHitsRect(diagonal, upright)).toBe(false);
+    expect(sweptCircleHitsRect(diagonal, flat, upright)).toBe(true);
+  });
+
+  it('matches the static test when the block does not move', () => {
+    const still = block();
+    expect(sweptCircleHitsRect({ x: 140, y: 80, r: 20 }, still, still)).toBe(true);
+    expect(sweptCircleHitsRect({ x: 140, y: 70, r: 20 }, still, still)).toBe(false);
+  });
+});
@@ -0,0 +1,134 @@
+// Daily and weekly challenges. A challenge is built entirely from its
+// calendar key ('2026-10-19' for a day, '2026-W43' for an ISO week), so
+// every device builds the same run offline:
+//
+//   seed     hash of the challenge id, seeds the run itself
+//   mode     one of CHALLENGE_MODES
+//   lives    LIVES or null, only in modes that allow lives
+//   palette  the 2-4 colours every level draws blocks from
+//   speed    a SPEED_CURVES entry scaling each level's speed and ramp
+//
+// The ruleset is rolled from a second seed so it doesn't correlate with the
+// obstacle sequence. Keys use the device's local calendar.
+import { createRng, hashString } from './rng';
+import { LEVELS } from './levels';
+import { COLORS } from './constants';
+import { getMode } from './modes';
+
+export const CHALLENGE_KINDS = {
+  daily: { name: 'Daily Challenge' },
+  weekly: { name: 'Weekly Challenge' },
+};
+
+const CHALLENGE_MODES = ['endless', 'timeAttack', 'hardcore'];
+const LIVES = 3;
+
+export const SPEED_CURVES = {
+  gentle: { label: 'gentle speed', speed: 0.85, ramp: 0.75 },
+  standard: { label: 'standard speed', speed: 1, ramp: 1 },
+  steep: { label: 'steep speed', speed: 1.1, ramp: 1.6 },
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export function dayKey(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// ISO 8601 week: weeks start on Monday and belong to the year of their Thursday
+export function weekKey(date = new Date()) {
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7));
+  const year = thursday.getFullYear();
+  const dayOfYear = daysBetween(`${year}-01-01`, dayKey(thursday));
+  return `${year}-W${pad(Math.floor(dayOfYear / 7) + 1)}`;
+}
+
+// Whole calendar days from one dayKey() to another
+export function daysBetween(from, to) {
+  const parse = (key) => {
+    const [y, m, d] = key.split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+  };
+  return Math.round((parse(to) - parse(from)) / 86400000);
+}
+
+function shuffled(list, rng) {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = rng.int(i + 1);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// The challenge of `kind` for the day or week containing `date`
+export function createChallenge(kind, date = new Date()) {
+  const key = kind === 'weekly' ? weekKey(date) : dayKey(date);
+  const id = `${kind}:${key}`;
+  const rng = createRng(hashString(`${id}:rules`));
+
+  const mode = CHALLENGE_MODES[rng.int(CHALLENGE_MODES.length)];
+  const lives = getMode(mode).allowLives && rng.next() < 0.5 ? LIVES : null;
+  const palette = shuffled(COLORS.map((_, i) => i), rng)
+    .slice(0, 2 + rng.int(COLORS.length - 1))
+    .sort((a, b) => a - b);
+  const curveIds = Object.keys(SPEED_CURVES);
+  const speedCurve = curveIds[rng.int(curveIds.length)];
+  const curve = SPEED_CURVES[speedCurve];
+
+  const levels = LEVELS.map(level => ({
+    ...level,
+    palette,
+    speed: Math.round(level.speed * curve.speed),
+    speedRamp: (level.speedRamp ?? 0) * curve.ramp,
+  }));
+
+  return {
+    id,
+    kind,
+    key,
+    name: CHALLENGE_KINDS[kind].name,
+    seed: hashString(id),
+    mode,
+    lives,
+    palette,
+    speedCurve,
+    levels,
+    description: [
+      getMode(mode).name,
+      `${palette.length} colours`,
+      lives ? `${lives} lives` : 'one hit',
+      curve.label,
+    ].join(' · '),
+  };
+}
+
+// Whether a challenge's day or week is still to come on `date`. Keys are
+// zero-padded, so they compare as strings.
+export function isUpcoming(challenge, date = new Date()) {
+  return challenge.key > (challenge.kind === 'weekly' ? weekKey(date) : dayKey(date));
+}
+
+const DAY_KEY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const WEEK_KEY = /^(\d{4})-W(\d{2})$/;
+
+// Rebuild a challenge from its id ('daily:2026-10-19', 'weekly:2026-W43'),
+// or null when the id doesn't name a real day or week
+export function challengeFromId(id) {
+  const [kind, key, ...rest] = String(id).split(':');
+  if (rest.length || !CHALLENGE_KINDS[kind]) return null;
+  let date = null;
+  if (kind === 'daily' && DAY_KEY.test(key)) {
+    const [, y, m, d] = key.match(DAY_KEY).map(Number);
+    date = new Date(y, m - 1, d);
+  } else if (kind === 'weekly' && WEEK_KEY.test(key)) {
+    const [, y, w] = key.match(WEEK_KEY).map(Number);
+    // 4 January is always in week 1; step to that week's Monday, then on
+    const jan4 = new Date(y, 0, 4);
+    date = new Date(y, 0, 4 - ((jan4.getDay() + 6) % 7) + (w - 1) * 7);
+  }
+  if (!date) return null;
+  const challenge = createChallenge(kind, date);
+  // Round-tripping rejects dates like 2026-02-31 and weeks past the year's last
+  return challenge.key === key ? challenge : null;
+}
@@ -0,0 +1,67 @@
+// Collision geometry for the round player. Blocks are rectangles rotated by
+// `angle` degrees about their centre, exactly as ObstacleLayer draws them;
+// pickups are circles. Everything is in field units.
+
+// Signed shortest turn from one angle to another, in degrees (-180..180]
+export function angleDelta(from, to) {
+  const d = (((to - from) % 360) + 360) % 360;
+  return d > 180 ? d - 360 : d;
+}
+
+// The player's circle: { x, y } centre and radius r
+export function playerCircle(player, size) {
+  return { x: player.x + size / 2, y: player.y + size / 2, r: size / 2 };
+}
+
+// Distance from a point to the nearest point of a rotated rectangle; 0 when
+// the point is inside it
+export function distanceToRect(px, py, rect) {
+  const cx = rect.x + rect.width / 2;
+  const cy = rect.y + rect.height / 2;
+  const rad = (-(rect.angle ?? 0) * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  // The point in the rectangle's own frame, where it is axis-aligned
+  const lx = (px - cx) * cos - (py - cy) * sin;
+  const ly = (px - cx) * sin + (py - cy) * cos;
+  const ox = Math.max(0, Math.abs(lx) - rect.width / 2);
+  const oy = Math.max(0, Math.abs(ly) - rect.height / 2);
+  return Math.hypot(ox, oy);
+}
+
+// Touching counts as a hit
+export function circleHitsRect(circle, rect) {
+  return distanceToRect(circle.x, circle.y, rect) <= circle.r;
+}
+
+export function circleHitsCircle(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y) <= a.r + b.r;
+}
+
+// Gap between the circle's edge and a rectangle; negative when they overlap
+export function gapToRect(circle, rect) {
+  return distanceToRect(circle.x, circle.y, rect) - circle.r;
+}
+
+// Whether a rectangle moving (and turning) from `from` to `to` during one
+// step touches the circle at any point along the way. The motion is sampled
+// so no corner moves more than half the circle's radius between samples,
+// which keeps fast blocks from jumping clean over the player.
+export function sweptCircleHitsRect(circle, from, to) {
+  const turn = angleDelta(from.angle ?? 0, to.angle ?? 0);
+  const corner = Math.hypot(to.width, to.height) / 2;
+  const travel = Math.hypot(to.x - from.x, to.y - from.y) + (Math.abs(turn) * Math.PI * corner) / 180;
+  const samples = Math.max(1, Math.ceil(travel / (circle.r / 2)));
+  for (let i = samples; i >= 0; i--) {
+    const t = i / samples;
+    const rect = {
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t,
+      width: to.width,
+      height: to.height,
+      angle: (from.angle ?? 0) + turn * t,
+    };
+    if (circleHitsRect(circle, rect)) return true;
+  }
+  return false;
+}
@@ -0,0 +1,14 @@
+export const PLAYER_SIZE = 50;
+
+// The engine always simulates this logical play field; the UI scales it to
+// fit the window, so every device and window size plays the same run
+export const FIELD_WIDTH = 400;
+export const FIELD_HEIGHT = 800;
+export const COLORS = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4'];
+
+// Largest system font scale applied to in-game HUD text, so large text
+// settings can't push the HUD over the play field
+export const HUD_FONT_SCALE = 1.3;
+
+// Distance of the player's top edge from the bottom of the play field
+export const PLAYER_BOTTOM_OFFSET = 100;
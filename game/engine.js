@@ -0,0 +1,419 @@
+// Pure game simulation. No React, no timers, no Math.random: the same seed and
+// the same sequence of inputs always produce the same run, so this module can
+// be exercised under plain Node.
+import { createRng, normalizeSeed, randomSeed } from './rng';
+import { PLAYER_SIZE, PLAYER_BOTTOM_OFFSET } from './constants';
+import { LEVELS, getLevel, validateLevels } from './levels';
+import { PATTERNS, buildPattern } from './patterns';
+import {
+  PICKUP_SIZE, createPowerupState, applyPowerup, tickPowerups, pickPowerup,
+  createPickup, speedScale, magnetPull,
+} from './powerups';
+import {
+  NEAR_MISS_DISTANCE, NEAR_MISS_POINTS, createBreakdown, scoreMatch, addToBreakdown,
+} from './scoring';
+import { DEFAULT_MODE, getMode } from './modes';
+import { EMPTY_INPUT, applyInput } from './input';
+import { playerCircle, circleHitsCircle, sweptCircleHitsRect, gapToRect } from './collision';
+
+// All speeds are in pixels (or degrees) per second and all times in seconds,
+// so the simulation runs at the same pace whatever the frame rate.
+const MAX_SPEED = 1200;
+const STRESS_SPAWN_INTERVAL = 0.008;
+export const INVULNERABLE_TIME = 1.5; // seconds of grace after losing a life
+
+export function currentLevel(state) {
+  return getLevel(state.levels, state.level);
+}
+
+// mode: key of MODES in modes.js
+// levels: level definitions to play, see levels.js
+// lives: number of wrong-colour hits the run survives; null ends the run on
+// the first one. Ignored by modes that don't allow lives
+// stress: debug mode that floods the field with obstacles and ignores
+// collisions, used to measure rendering cost
+export function createGame({
+  seed = randomSeed(),
+  width,
+  height,
+  mode = DEFAULT_MODE,
+  levels = LEVELS,
+  lives = null,
+  stress = false,
+} = {}) {
+  if (levels !== LEVELS) validateLevels(levels);
+  const normalized = normalizeSeed(seed);
+  const first = getLevel(levels, 1);
+  const rules = getMode(mode);
+  const startLives = rules.allowLives ? lives : null;
+  return {
+    seed: normalized,
+    rngState: normalized,
+    width,
+    height,
+    stress,
+    mode,
+    rules,
+    status: 'playing', // 'playing' | 'levelComplete' | 'gameOver'
+    endReason: null, // 'hit' | 'time' | 'quit' once the run is over
+    time: 0,
+    levels,
+    level: 1,
+    levelMatches: 0, // blocks caught within the current level
+    matches: 0,
+    combo: 0, // consecutive matches without a colour change, a wrong hit or a missed match
+    score: 0,
+    breakdown: createBreakdown(),
+    speed: first.speed,
+    lives: startLives,
+    maxLives: startLives,
+    invulnerable: 0, // seconds left
+    spawnTimer: 0,
+    nextId: 1,
+    player: {
+      x: width / 2 - PLAYER_SIZE / 2,
+      y: height - PLAYER_BOTTOM_OFFSET,
+      colorIndex: 0,
+    },
+    powerups: createPowerupState(),
+    obstacles: [],
+    events: [],
+  };
+}
+
+export function generateObstacle(state, rng) {
+  const def = currentLevel(state);
+  const size = def.obstacleSize;
+  const colorIndex = def.palette[rng.int(def.palette.length)];
+  const x = rng.next() * (state.width - size);
+  // Each obstacle picks one of the level's movement patterns; bouncing
+  // blocks also spin when the level allows rotation
+  const pattern = def.movement[rng.int(def.movement.length)];
+  const spins = pattern === 'rotate' || (pattern === 'bounce' && def.movement.includes('rotate'));
+  const vx = pattern === 'bounce' ? rng.sign() * rng.range(60, 180) : 0;
+  const angle = spins ? rng.next() * 360 : 0;
+  const rotateSpeed = spins ? rng.range(50, 120) * rng.sign() : 0;
+
+  return {
+    id: state.nextId,
+    x,
+    y: -size,
+    colorIndex,
+    width: size,
+    height: size,
+    vx,
+    angle,
+    rotateSpeed,
+  };
+}
+
+function pickSpawn(spawns, rng) {
+  const entries = Object.entries(spawns ?? { random: 1 });
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = rng.next() * total;
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+}
+
+// Spawn whatever the level's spawn table rolls. Returns the new obstacles
+// and any extra delay (seconds) before the next spawn so patterns can scroll
+// in without overlapping the next one.
+function spawn(state, def, rng) {
+  const kind = state.stress ? 'random' : pickSpawn(def.spawns, rng);
+  if (kind === 'random') {
+    const obstacle = generateObstacle(state, rng);
+    state.nextId += 1;
+    return { obstacles: [obstacle], delay: 0 };
+  }
+  if (kind === 'powerup') {
+    const pickup = createPickup(pickPowerup(def.powerups, rng), rng.next() * (state.width - PICKUP_SIZE));
+    return { obstacles: [{ ...pickup, id: state.nextId++ }], delay: 0 };
+  }
+  const built = buildPattern(PATTERNS[kind], {
+    width: state.width,
+    size: def.obstacleSize,
+    minColumn: PLAYER_SIZE * 1.5,
+    palette: def.palette,
+    playerColor: state.player.colorIndex,
+  }, rng);
+  const obstacles = built.obstacles.map(obs => ({ ...obs, id: state.nextId++ }));
+  return { obstacles, delay: built.length / (state.speed * speedScale(state.powerups)) };
+}
+
+function moveObstacle(obs, state, dt) {
+  let x = obs.x;
+  let vx = obs.vx;
+  if (state.powerups.magnet > 0 && obs.colorIndex === state.player.colorIndex) {
+    x = Math.max(0, Math.min(state.width - obs.width, x + magnetPull(obs, state.player, PLAYER_SIZE, dt)));
+  }
+  if (vx !== 0) {
+    x += vx * dt;
+    if (x <= 0 || x + obs.width >= state.width) {
+      vx = -vx; // bounce
+      x = Math.max(0, Math.min(state.width - obs.width, x));
+    }
+  }
+  const angle = obs.rotateSpeed !== 0 ? (obs.angle + obs.rotateSpeed * dt) % 360 : obs.angle;
+  const scale = speedScale(state.powerups);
+  return { ...obs, x, y: obs.y + state.speed * scale * dt, vx, angle };
+}
+
+// Pickups are round; blocks are tested along their whole move this step so a
+// fast or spinning block cannot skip past the player between frames
+function touches(circle, obs, moved) {
+  if (moved.powerup) {
+    return circleHitsCircle(circle, {
+      x: moved.x + moved.width / 2,
+      y: moved.y + moved.height / 2,
+      r: moved.width / 2,
+    });
+  }
+  return sweptCircleHitsRect(circle, obs, moved);
+}
+
+// Advance the simulation by dt seconds.
+// input: { axis, actions } from an input queue, see input.js
+export function step(state, input = EMPTY_INPUT, dt) {
+  if (state.status !== 'playing') {
+    return state.events.length ? { ...state, events: [] } : state;
+  }
+
+  const rng = createRng(state.rngState);
+  const events = [];
+  const next = {
+    ...state,
+    time: state.time + dt,
+    events,
+  };
+
+  const controlled = applyInput(state.player, input, { width: state.width, dt });
+  next.player = controlled.player;
+  if (controlled.colorChanged) {
+    next.combo = 0;
+    events.push({ type: 'colorChange', colorIndex: next.player.colorIndex });
+  }
+
+  next.powerups = tickPowerups(state.powerups, dt, events);
+  if (next.invulnerable > 0) next.invulnerable = Math.max(0, next.invulnerable - dt);
+
+  // Spawning
+  let obstacles = state.obstacles;
+  next.spawnTimer = state.spawnTimer + dt;
+  const def = currentLevel(next);
+  const interval = next.stress ? STRESS_SPAWN_INTERVAL : def.spawnInterval;
+  while (next.spawnTimer >= interval) {
+    const spawned = spawn(next, def, rng);
+    next.spawnTimer -= interval + spawned.delay;
+    obstacles = [...obstacles, ...spawned.obstacles];
+  }
+
+  // Movement and collisions
+  const kept = [];
+  const circle = playerCircle(next.player, PLAYER_SIZE);
+  for (const obs of obstacles) {
+    const moved = moveObstacle(obs, next, dt);
+    if (!next.stress && next.status !== 'gameOver' && touches(circle, obs, moved)) {
+      if (moved.powerup) {
+        next.powerups = applyPowerup(next.powerups, moved.powerup);
+        events.push({ type: 'powerup', kind: moved.powerup });
+      } else if (next.player.colorIndex === moved.colorIndex || next.powerups.rainbow > 0) {
+        next.combo += 1;
+        const { points, multiplier, parts } = scoreMatch(next.combo, next.speed * speedScale(next.powerups));
+        next.score += points;
+        next.breakdown = addToBreakdown(next.breakdown, parts);
+        next.matches += 1;
+        next.levelMatches += 1;
+        events.push({
+          type: 'score',
+          x: next.player.x + PLAYER_SIZE / 2,
+          y: next.player.y + PLAYER_SIZE / 2,
+          colorIndex: moved.colorIndex,
+          points,
+          multiplier,
+        });
+        if (next.levelMatches >= currentLevel(next).matchesToClear && next.status === 'playing') {
+          if (next.rules.levelPause) {
+            next.status = 'levelComplete';
+            events.push({ type: 'levelComplete', level: next.level });
+          } else {
+            // Roll straight into the next level without clearing the field
+            events.push({ type: 'levelUp', level: next.level + 1, name: getLevel(next.levels, next.level + 1).name });
+            next.level += 1;
+            next.levelMatches = 0;
+          }
+        }
+      } else if (next.invulnerable > 0) {
+        // Wrong colours pass straight through while blinking
+        if (moved.y < next.height) kept.push(moved);
+      } else {
+        next.combo = 0;
+        hitWrongColor(next, moved, events);
+      }
+      continue; // consumed, unless it passed through above
+    }
+    if (!moved.powerup && !moved.passed) trackNearMiss(next, moved, events);
+    if (moved.y < next.height) kept.push(moved);
+    // A block of the player's colour left to fall past is a miss
+    else if (!moved.powerup && moved.colorIndex === next.player.colorIndex) next.combo = 0;
+  }
+  next.obstacles = kept;
+
+  // Gradual speed ramp within the level, plus any mode-wide ramp over time
+  const level = currentLevel(next);
+  next.speed = Math.min(
+    MAX_SPEED,
+    level.speed + next.levelMatches * (level.speedRamp ?? 0) + next.time * next.rules.speedPerSecond
+  );
+
+  if (next.rules.timeLimit !== null && next.time >= next.rules.timeLimit && next.status !== 'gameOver') {
+    finishRun(next, 'time');
+  }
+
+  next.rngState = rng.getState();
+  return next;
+}
+
+// Marks `next` as over and emits the gameOver event. Mutates next.
+function finishRun(next, reason) {
+  next.status = 'gameOver';
+  next.endReason = reason;
+  next.events.push({ type: 'gameOver', reason, result: runResult(next) });
+}
+
+// End the run from outside the simulation, e.g. the player quitting
+export function endRun(state, reason = 'quit') {
+  if (state.status === 'gameOver') return state;
+  const next = { ...state, events: [] };
+  finishRun(next, reason);
+  return next;
+}
+
+// What a finished run reports to the app (high scores, leaderboards)
+export function runResult(state) {
+  return {
+    mode: state.mode,
+    seed: state.seed,
+    score: state.score,
+    level: state.level,
+    matches: state.matches,
+    duration: state.time,
+    breakdown: state.breakdown,
+    reason: state.endReason,
+  };
+}
+
+// A wrong-colour hit: the shield absorbs it, then lives, then the run ends
+// (or, in penalty modes, costs points instead)
+function hitWrongColor(next, moved, events) {
+  if (next.powerups.shield) {
+    next.powerups = { ...next.powerups, shield: false };
+    events.push({ type: 'shieldBreak', colorIndex: moved.colorIndex });
+  } else if (next.rules.wrongHit === 'penalty') {
+    const points = Math.min(next.score, next.rules.wrongHitPenalty);
+    next.score -= points;
+    next.breakdown = addToBreakdown(next.breakdown, { penalty: -points });
+    events.push({ type: 'penalty', points, colorIndex: moved.colorIndex });
+  } else if (next.lives !== null && next.lives > 1) {
+    next.lives -= 1;
+    next.invulnerable = INVULNERABLE_TIME;
+    events.push({ type: 'lifeLost', lives: next.lives, colorIndex: moved.colorIndex });
+  } else {
+    if (next.lives !== null) next.lives = 0;
+    finishRun(next, 'hit');
+  }
+}
+
+// Record how close a block comes while level with the player; once it has
+// fully passed, a wrong-colour block that came within NEAR_MISS_DISTANCE pays
+// a bonus. Mutates the freshly moved obstacle.
+function trackNearMiss(next, moved, events) {
+  const { player } = next;
+  const playerBottom = player.y + PLAYER_SIZE;
+  if (moved.y + moved.height >= player.y && moved.y <= playerBottom) {
+    const gap = gapToRect(playerCircle(player, PLAYER_SIZE), moved);
+    moved.closest = Math.min(moved.closest ?? Infinity, gap);
+  } else if (moved.y > playerBottom && moved.closest !== undefined) {
+    moved.passed = true;
+    const wrong = moved.colorIndex !== player.colorIndex && !(next.powerups.rainbow > 0);
+    if (wrong && moved.closest <= NEAR_MISS_DISTANCE) {
+      next.score += NEAR_MISS_POINTS;
+      next.breakdown = addToBreakdown(next.breakdown, { nearMiss: NEAR_MISS_POINTS });
+      events.push({
+        type: 'nearMiss',
+        x: moved.x + moved.width / 2,
+        y: playerBottom,
+        points: NEAR_MISS_POINTS,
+      });
+    }
+  }
+}
+
+// Leave the level-complete pause and start the next level with a clean field
+export function advanceLevel(state) {
+  if (state.status !== 'levelComplete') return state;
+  const level = state.level + 1;
+  return {
+    ...state,
+    status: 'playing',
+    level,
+    levelMatches: 0,
+    speed: getLevel(state.levels, level).speed,
+    obstacles: [],
+    spawnTimer: 0,
+    events: [],
+  };
+}
+
+// Serialisable copy of a run in progress. The engine state is plain data
+// already (RNG state included), so this only drops per-step events.
+export const SNAPSHOT_VERSION = 1;
+
+export function snapshotGame(state) {
+  const { events, ...rest } = state;
+  return { version: SNAPSHOT_VERSION, state: rest };
+}
+
+// Rebuild a run from snapshotGame() output for a field of the given size,
+// scaling positions if the window changed. Returns null for anything that
+// doesn't look like a resumable snapshot.
+export function restoreGame(snapshot, { width, height }) {
+  const saved = snapshot?.state;
+  if (
+    snapshot?.version !== SNAPSHOT_VERSION ||
+    !saved ||
+    !['playing', 'levelComplete'].includes(saved.status) ||
+    !Array.isArray(saved.obstacles) ||
+    !Array.isArray(saved.levels) ||
+    !saved.player ||
+    !(saved.width > 0) ||
+    !(saved.height > 0)
+  ) {
+    return null;
+  }
+  try {
+    validateLevels(saved.levels);
+  } catch {
+    return null;
+  }
+
+  const sx = width / saved.width;
+  const sy = height / saved.height;
+  return {
+    ...saved,
+    // The stock levels come back as a copy; hand back LEVELS itself so the
+    // run still reads as one on the stock levels
+    levels: JSON.stringify(saved.levels) === JSON.stringify(LEVELS) ? LEVELS : saved.levels,
+    width,
+    height,
+    player: {
+      ...saved.player,
+      x: Math.max(0, Math.min(width - PLAYER_SIZE, saved.player.x * sx)),
+      y: height - PLAYER_BOTTOM_OFFSET,
+    },
+    obstacles: saved.obstacles.map(obs => ({ ...obs, x: obs.x * sx, y: obs.y * sy })),
+    events: [],
+  };
+}
@@ -0,0 +1,117 @@
+// Player input as plain actions. Touch, keyboard and gamepad adapters all
+// translate what they see into the same actions, and the engine applies them
+// once per step, so the simulation never sees where an input came from.
+//
+//   moveLeft / moveRight  { pressed }    held movement, on until released
+//   setPosition           { x }          jump to x (the player's left edge)
+//   cycleColor            { direction }  1 for the next colour, -1 for the previous
+//   selectColor           { index }      switch straight to a colour
+//   pause                                handled by the UI, never reaches the engine
+//   confirm                              picks Resume or Next Level on a menu, UI only
+//
+// Each step the engine receives { axis, actions }: axis is the held movement
+// from -1 (full left) to 1 (full right), actions the one-off actions since
+// the last step, in order.
+import { PLAYER_SIZE, COLORS } from './constants';
+
+export const MOVE_SPEED = 700; // px/s at full axis
+export const EMPTY_INPUT = { axis: 0, actions: [] };
+
+// KeyboardEvent.key -> action, for the web target
+export const KEY_BINDINGS = {
+  ArrowLeft: { type: 'moveLeft' },
+  a: { type: 'moveLeft' },
+  A: { type: 'moveLeft' },
+  ArrowRight: { type: 'moveRight' },
+  d: { type: 'moveRight' },
+  D: { type: 'moveRight' },
+  ' ': { type: 'cycleColor', direction: 1 },
+  ArrowUp: { type: 'cycleColor', direction: 1 },
+  w: { type: 'cycleColor', direction: 1 },
+  W: { type: 'cycleColor', direction: 1 },
+  ArrowDown: { type: 'cycleColor', direction: -1 },
+  s: { type: 'cycleColor', direction: -1 },
+  S: { type: 'cycleColor', direction: -1 },
+  1: { type: 'selectColor', index: 0 },
+  2: { type: 'selectColor', index: 1 },
+  3: { type: 'selectColor', index: 2 },
+  4: { type: 'selectColor', index: 3 },
+  Escape: { type: 'pause' },
+};
+
+// Standard gamepad mapping button index -> action
+export const GAMEPAD_BUTTONS = {
+  0: { type: 'cycleColor', direction: 1 }, // A / cross
+  1: { type: 'cycleColor', direction: -1 }, // B / circle
+  4: { type: 'cycleColor', direction: -1 }, // left bumper
+  5: { type: 'cycleColor', direction: 1 }, // right bumper
+  9: { type: 'pause' }, // start
+  14: { type: 'moveLeft' }, // d-pad left
+  15: { type: 'moveRight' }, // d-pad right
+};
+export const GAMEPAD_DEADZONE = 0.2;
+
+// Bindings that take over while the game is paused or showing an overlay
+export const MENU_KEY_BINDINGS = {
+  Enter: { type: 'confirm' },
+};
+export const MENU_GAMEPAD_BUTTONS = {
+  0: { type: 'confirm' }, // A / cross
+};
+
+const HELD = ['moveLeft', 'moveRight'];
+
+// Collects actions between engine steps. Held movement from several sources
+// (keys, d-pad) is tracked per source so releasing one doesn't cancel another.
+export function createInputQueue() {
+  const held = { moveLeft: new Set(), moveRight: new Set() };
+  let queue = [];
+
+  // source: anything identifying the key or button that holds a move action
+  const dispatch = (action, source = 'default') => {
+    if (HELD.includes(action.type)) {
+      if (action.pressed === false) held[action.type].delete(source);
+      else held[action.type].add(source);
+      return;
+    }
+    queue.push(action);
+  };
+
+  // analog: extra axis from a stick, -1..1
+  const take = (analog = 0) => {
+    const digital = (held.moveRight.size ? 1 : 0) - (held.moveLeft.size ? 1 : 0);
+    const axis = Math.max(-1, Math.min(1, digital + analog));
+    const actions = queue;
+    queue = [];
+    return { axis, actions };
+  };
+
+  const clear = () => {
+    held.moveLeft.clear();
+    held.moveRight.clear();
+    queue = [];
+  };
+
+  return { dispatch, take, clear };
+}
+
+// Apply one step of input to the player. Returns the new player and whether
+// the colour changed.
+export function applyInput(player, input, { width, dt }) {
+  const next = { ...player };
+  const maxX = width - PLAYER_SIZE;
+  if (input.axis) next.x += input.axis * MOVE_SPEED * dt;
+  for (const action of input.actions) {
+    if (action.type === 'setPosition' && Number.isFinite(action.x)) {
+      next.x = action.x;
+    } else if (action.type === 'cycleColor') {
+      const direction = action.direction < 0 ? -1 : 1;
+      next.colorIndex = (next.colorIndex + direction + COLORS.length) % COLORS.length;
+    } else if (action.type === 'selectColor' && Number.isInteger(action.index)
+      && action.index >= 0 && action.index < COLORS.length) {
+      next.colorIndex = action.index;
+    }
+  }
+  next.x = Math.max(0, Math.min(maxX, next.x));
+  return { player: next, colorChanged: next.colorIndex !== player.colorIndex };
+}
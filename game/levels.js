@@ -0,0 +1,155 @@
+// Level definitions. Add a new level by appending an entry here; once the
+// player passes the last entry it keeps repeating.
+//
+//   name           shown on the level-complete overlay
+//   matchesToClear blocks to catch within this level to complete it; combos
+//                  and bonuses add points but never count towards this
+//   spawnInterval  seconds between spawns
+//   speed          fall speed in pixels per second at the start of the level
+//   speedRamp      extra pixels per second for every block caught in the level
+//   obstacleSize   obstacle edge length in pixels
+//   palette        indices into COLORS that obstacles may use
+//   movement       any of MOVEMENTS; each obstacle picks one. 'fall' is
+//                  plain, 'rotate' spins the block, 'bounce' adds horizontal
+//                  drift off the walls
+//   spawns         optional weighted spawn table. 'random' is a single block
+//                  as above, 'powerup' is a pickup, any other key names a
+//                  pattern from patterns.js. Defaults to { random: 1 }
+//   powerups       optional weights for which pickup a 'powerup' spawn
+//                  drops, keyed by power-up kind. Defaults to equal odds
+import { COLORS } from './constants';
+import { PATTERNS } from './patterns';
+import { POWERUPS } from './powerups';
+
+export const MOVEMENTS = ['fall', 'rotate', 'bounce'];
+
+export const LEVELS = [
+  {
+    name: 'Warm Up',
+    matchesToClear: 10,
+    spawnInterval: 1.2,
+    speed: 300,
+    speedRamp: 12,
+    obstacleSize: 60,
+    palette: [0, 1, 2, 3],
+    movement: ['fall'],
+  },
+  {
+    name: 'Spin Cycle',
+    matchesToClear: 10,
+    spawnInterval: 1.1,
+    speed: 360,
+    speedRamp: 12,
+    obstacleSize: 56,
+    palette: [0, 1, 2, 3],
+    movement: ['fall', 'rotate'],
+    spawns: { random: 14, powerup: 1 },
+    powerups: { shield: 2, slowmo: 1 },
+  },
+  {
+    name: 'Ricochet',
+    matchesToClear: 10,
+    spawnInterval: 1.0,
+    speed: 420,
+    speedRamp: 12,
+    obstacleSize: 52,
+    palette: [0, 1, 2, 3],
+    movement: ['fall', 'rotate', 'bounce'],
+    spawns: { random: 8, gapRow: 1, zigzag: 1, powerup: 1 },
+    powerups: { shield: 2, slowmo: 1, magnet: 1 },
+  },
+  {
+    name: 'Crossfire',
+    matchesToClear: 12,
+    spawnInterval: 0.9,
+    speed: 480,
+    speedRamp: 12,
+    obstacleSize: 48,
+    palette: [0, 1, 2, 3],
+    movement: ['rotate', 'bounce'],
+    spawns: { random: 5, gapRow: 1, zigzag: 1, staircase: 1, wall: 1, powerup: 1 },
+  },
+  {
+    name: 'Overdrive',
+    matchesToClear: 15,
+    spawnInterval: 0.8,
+    speed: 540,
+    speedRamp: 15,
+    obstacleSize: 44,
+    palette: [0, 1, 2, 3],
+    movement: ['fall', 'rotate', 'bounce'],
+    spawns: { random: 4, gapRow: 2, zigzag: 1, staircase: 2, wall: 2, powerup: 1 },
+    powerups: { shield: 1, slowmo: 1, magnet: 1, rainbow: 2 },
+  },
+];
+
+const isPositive = (n) => typeof n === 'number' && Number.isFinite(n) && n > 0;
+
+// Returns a list of problems; empty when the level is valid
+export function levelErrors(level) {
+  const errors = [];
+  if (!level || typeof level !== 'object') return ['must be an object'];
+  if (typeof level.name !== 'string' || level.name.trim() === '') errors.push('name must be a non-empty string');
+  if (!Number.isInteger(level.matchesToClear) || level.matchesToClear < 1) errors.push('matchesToClear must be a positive integer');
+  if (!isPositive(level.spawnInterval)) errors.push('spawnInterval must be a positive number of seconds');
+  if (!isPositive(level.speed)) errors.push('speed must be a positive number');
+  if (level.speedRamp !== undefined && !(typeof level.speedRamp === 'number' && level.speedRamp >= 0)) {
+    errors.push('speedRamp must be zero or more');
+  }
+  if (!isPositive(level.obstacleSize)) errors.push('obstacleSize must be a positive number');
+  if (
+    !Array.isArray(level.palette) ||
+    level.palette.length === 0 ||
+    level.palette.some(i => !Number.isInteger(i) || i < 0 || i >= COLORS.length)
+  ) {
+    errors.push(`palette must list colour indices between 0 and ${COLORS.length - 1}`);
+  }
+  if (
+    !Array.isArray(level.movement) ||
+    level.movement.length === 0 ||
+    level.movement.some(m => !MOVEMENTS.includes(m))
+  ) {
+    errors.push(`movement must list some of: ${MOVEMENTS.join(', ')}`);
+  }
+  if (level.spawns !== undefined) {
+    const entries = level.spawns && typeof level.spawns === 'object' ? Object.entries(level.spawns) : [];
+    if (entries.length === 0) errors.push('spawns must be an object of weights');
+    for (const [key, weight] of entries) {
+      if (key !== 'random' && key !== 'powerup' && !PATTERNS[key]) errors.push(`spawns has unknown pattern "${key}"`);
+      if (!(typeof weight === 'number' && weight >= 0)) errors.push(`spawns weight for "${key}" must be zero or more`);
+    }
+    if (entries.length && entries.every(([, weight]) => !(weight > 0))) errors.push('spawns needs at least one positive weight');
+  }
+  if (level.powerups !== undefined) {
+    const entries = level.powerups && typeof level.powerups === 'object' ? Object.entries(level.powerups) : [];
+    if (entries.length === 0) errors.push('powerups must be an object of weights');
+    for (const [kind, weight] of entries) {
+      if (!POWERUPS[kind]) errors.push(`powerups has unknown kind "${kind}"`);
+      if (!(typeof weight === 'number' && weight >= 0)) errors.push(`powerups weight for "${kind}" must be zero or more`);
+    }
+  }
+  return errors;
+}
+
+export function validateLevels(levels) {
+  if (!Array.isArray(levels) || levels.length === 0) {
+    throw new Error('Level list must be a non-empty array');
+  }
+  const problems = [];
+  levels.forEach((level, i) => {
+    for (const error of levelErrors(level)) {
+      problems.push(`level ${i + 1}${level?.name ? ` (${level.name})` : ''}: ${error}`);
+    }
+  });
+  if (problems.length) {
+    throw new Error(`Invalid level definitions:\n${problems.join('\n')}`);
+  }
+  return levels;
+}
+
+// Level numbers start at 1; past the end the last definition repeats
+export function getLevel(levels, number) {
+  return levels[Math.min(number, levels.length) - 1];
+}
+
+validateLevels(LEVELS);
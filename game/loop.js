@@ -0,0 +1,48 @@
+// Fixed-timestep loop driven by requestAnimationFrame. The simulation always
+// advances in STEP_DT increments; whatever is left in the accumulator is
+// passed to render() as an interpolation factor between the last two steps.
+import { angleDelta } from './collision';
+
+export const STEP_DT = 1 / 60;
+const MAX_FRAME = 0.25; // clamp long stalls so we don't spiral trying to catch up
+
+export function startLoop({ update, render, stepDt = STEP_DT }) {
+  let running = true;
+  let frameId = null;
+  let last = null;
+  let accumulator = 0;
+
+  const frame = (now) => {
+    if (!running) return;
+    if (last === null) last = now;
+    accumulator += Math.min(MAX_FRAME, (now - last) / 1000);
+    last = now;
+    while (accumulator >= stepDt) {
+      update(stepDt);
+      accumulator -= stepDt;
+    }
+    render(accumulator / stepDt);
+    frameId = requestAnimationFrame(frame);
+  };
+
+  frameId = requestAnimationFrame(frame);
+  return () => {
+    running = false;
+    if (frameId !== null) cancelAnimationFrame(frameId);
+  };
+}
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Blend obstacle positions between the previous and current step. Obstacles
+// spawned this step have no previous position and are drawn where they are.
+export function interpolateObstacles(prev, curr, alpha) {
+  if (prev === curr || alpha <= 0) return curr;
+  const before = new Map(prev.map(o => [o.id, o]));
+  return curr.map(o => {
+    const p = before.get(o.id);
+    if (!p) return o;
+    const angle = p.angle === o.angle ? o.angle : p.angle + angleDelta(p.angle, o.angle) * alpha;
+    return { ...o, x: lerp(p.x, o.x, alpha), y: lerp(p.y, o.y, alpha), angle };
+  });
+}
@@ -0,0 +1,55 @@
+// Game modes are rule sets layered over the level definitions.
+//
+//   timeLimit         seconds until the run ends, or null
+//   wrongHit          'end' ends the run (after shield and lives), 'penalty'
+//                     only deducts wrongHitPenalty points
+//   levelPause        stop on the level-complete overlay between levels
+//   speedPerSecond    extra fall speed gained every second of the run
+//   allowLives        whether the lives option applies to this mode
+
+export const MODES = {
+  endless: {
+    name: 'Endless',
+    description: 'The classic run. One wrong colour and it is over.',
+    timeLimit: null,
+    wrongHit: 'end',
+    levelPause: true,
+    speedPerSecond: 0,
+    allowLives: true,
+  },
+  timeAttack: {
+    name: 'Time Attack',
+    description: 'Score as much as you can in 60 seconds.',
+    timeLimit: 60,
+    wrongHit: 'end',
+    levelPause: false,
+    speedPerSecond: 0,
+    allowLives: true,
+  },
+  zen: {
+    name: 'Zen',
+    description: 'No game over. Wrong colours only cost points.',
+    timeLimit: null,
+    wrongHit: 'penalty',
+    wrongHitPenalty: 5,
+    levelPause: true,
+    speedPerSecond: 0,
+    allowLives: false,
+  },
+  hardcore: {
+    name: 'Hardcore',
+    description: 'No breaks between levels and the speed never stops rising.',
+    timeLimit: null,
+    wrongHit: 'end',
+    levelPause: false,
+    speedPerSecond: 6,
+    allowLives: true,
+  },
+};
+
+export const MODE_IDS = Object.keys(MODES);
+export const DEFAULT_MODE = 'endless';
+
+export function getMode(id) {
+  return MODES[id] ?? MODES[DEFAULT_MODE];
+}
@@ -0,0 +1,34 @@
+import { COLORS } from './constants';
+
+// Display palettes. The engine only deals in colour indices, so a palette
+// is just what each index looks like on screen; every palette has one entry
+// per index in COLORS. The colour-blind sets are chosen to stay apart for
+// that kind of colour vision and also differ in brightness.
+export const PALETTES = {
+  default: { name: 'Default', colors: COLORS },
+  deuteranopia: { name: 'Deuteranopia', colors: ['#E69F00', '#0072B2', '#F0E442', '#CC79A7'] },
+  protanopia: { name: 'Protanopia', colors: ['#FFB000', '#648FFF', '#F5F5F5', '#785EF0'] },
+  tritanopia: { name: 'Tritanopia', colors: ['#E4002B', '#00A6A6', '#FFFFFF', '#8C5A9E'] },
+  highContrast: { name: 'High contrast', colors: ['#FF2D2D', '#FFE100', '#00C8FF', '#FFFFFF'] },
+};
+
+export const PALETTE_IDS = Object.keys(PALETTES);
+export const DEFAULT_PALETTE = 'default';
+
+// Drawn on the player and blocks when symbols are on, so matching never
+// depends on hue alone
+export const COLOR_SYMBOLS = ['●', '▲', '■', '✚'];
+export const COLOR_SYMBOL_NAMES = ['circle', 'triangle', 'square', 'cross'];
+
+export function paletteColors(id) {
+  return (PALETTES[id] ?? PALETTES[DEFAULT_PALETTE]).colors;
+}
+
+for (const [id, palette] of Object.entries(PALETTES)) {
+  if (palette.colors.length !== COLORS.length) {
+    throw new Error(`Invalid palette ${id}: needs ${COLORS.length} colours`);
+  }
+}
+if (COLOR_SYMBOLS.length !== COLORS.length || COLOR_SYMBOL_NAMES.length !== COLORS.length) {
+  throw new Error(`COLOR_SYMBOLS and COLOR_SYMBOL_NAMES need ${COLORS.length} entries`);
+}
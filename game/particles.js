@@ -0,0 +1,33 @@
+// Cosmetic particle bursts. These never feed back into the simulation, so
+// they are free to use Math.random without breaking engine determinism.
+// Velocities are in pixels per second, life in seconds.
+
+export function spawnBurst(x, y, color, count = 14) {
+  return Array.from({ length: count }).map(() => ({
+    x: x + (Math.random() - 0.5) * 20,
+    y: y + (Math.random() - 0.5) * 20,
+    vx: (Math.random() - 0.5) * 120,
+    vy: -120 - Math.random() * 120,
+    life: 0.5 + Math.random() * 0.3,
+    color,
+    size: 4 + Math.random() * 6,
+    opacity: 1,
+  }));
+}
+
+// Runs on the UI thread; returns null once the particle has faded out
+export function stepParticle(p, dt) {
+  'worklet';
+  const life = p.life - dt;
+  const opacity = Math.max(0, p.opacity - 1.8 * dt);
+  const y = p.y + p.vy * dt;
+  if (life <= 0 || opacity <= 0 || y <= -20) return null;
+  return {
+    ...p,
+    x: p.x + p.vx * dt,
+    y,
+    vy: p.vy * Math.pow(0.3, dt) + 70 * dt, // slight gravity ease
+    life,
+    opacity,
+  };
+}
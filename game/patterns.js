@@ -0,0 +1,135 @@
+// Scripted obstacle patterns. A pattern is plain data: a shape that places
+// blocks on a grid of columns and rows, and a colouring rule that paints
+// them. Levels mix patterns into their spawn table by id (see levels.js).
+//
+//   shape     'row'        one block in every column
+//             'wall'       `rows` full rows back to back
+//             'zigzag'     `length` blocks snaking up and down a column pair
+//             'staircase'  `length` blocks stepping one column per row
+//   coloring  'gap'        one block in the player's current colour, the rest
+//                          in other colours, so there is one safe spot
+//             'single'     every block the same random colour
+//             'alternate'  colours alternate row by row, so walls force a
+//                          colour change mid-dodge
+//   spacing   vertical distance between rows, in block sizes
+
+export const PATTERNS = {
+  gapRow: { shape: 'row', coloring: 'gap', spacing: 2 },
+  zigzag: { shape: 'zigzag', length: 6, coloring: 'single', spacing: 1.4 },
+  staircase: { shape: 'staircase', length: 5, coloring: 'alternate', spacing: 1.6 },
+  wall: { shape: 'wall', rows: 2, coloring: 'alternate', spacing: 3 },
+};
+
+export const SHAPES = ['row', 'wall', 'zigzag', 'staircase'];
+export const COLORINGS = ['gap', 'single', 'alternate'];
+
+// Cells as { col, row }; row 0 enters the field first
+function shapeCells(pattern, columns, rng) {
+  const cells = [];
+  switch (pattern.shape) {
+    case 'row':
+    case 'wall': {
+      const rows = pattern.shape === 'wall' ? pattern.rows ?? 2 : 1;
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < columns; col++) cells.push({ col, row });
+      }
+      break;
+    }
+    case 'zigzag': {
+      const start = rng.int(Math.max(1, columns - 1));
+      for (let row = 0; row < (pattern.length ?? 6); row++) {
+        cells.push({ col: Math.min(columns - 1, start + (row % 2)), row });
+      }
+      break;
+    }
+    case 'staircase': {
+      const length = Math.min(pattern.length ?? 5, columns);
+      const dir = rng.sign();
+      const start = dir > 0 ? rng.int(columns - length + 1) : columns - 1 - rng.int(columns - length + 1);
+      for (let row = 0; row < length; row++) cells.push({ col: start + row * dir, row });
+      break;
+    }
+    default:
+      break;
+  }
+  return cells;
+}
+
+function pick(list, rng) {
+  return list[rng.int(list.length)];
+}
+
+function paint(pattern, cells, palette, playerColor, rng) {
+  switch (pattern.coloring) {
+    case 'gap': {
+      const others = palette.filter(c => c !== playerColor);
+      const gap = rng.int(cells.length);
+      return cells.map((_, i) => (i === gap || others.length === 0 ? playerColor : pick(others, rng)));
+    }
+    case 'alternate': {
+      const first = pick(palette, rng);
+      const rest = palette.filter(c => c !== first);
+      const second = rest.length ? pick(rest, rng) : first;
+      return cells.map(cell => (cell.row % 2 === 0 ? first : second));
+    }
+    case 'single':
+    default: {
+      const color = pick(palette, rng);
+      return cells.map(() => color);
+    }
+  }
+}
+
+const FULL_ROW_SHAPES = ['row', 'wall'];
+const ROW_GUTTER = 4;
+
+// Build the obstacles for one pattern spawn. Returns the obstacles (without
+// ids) and how far the pattern extends above the field, in pixels, so the
+// spawner can hold off until it has scrolled in.
+// minColumn keeps columns wider than the player; blocks in full rows stretch
+// to fill their column so the player can sit inside a single one.
+export function buildPattern(pattern, { width, size, minColumn = size, palette, playerColor }, rng) {
+  const columns = Math.max(1, Math.floor(width / Math.max(size, minColumn)));
+  const columnWidth = width / columns;
+  const blockWidth = FULL_ROW_SHAPES.includes(pattern.shape) ? columnWidth - ROW_GUTTER : size;
+  const rowStep = size * (pattern.spacing ?? 2);
+  const cells = shapeCells(pattern, columns, rng);
+  const colors = paint(pattern, cells, palette, playerColor, rng);
+
+  let rows = 0;
+  const obstacles = cells.map((cell, i) => {
+    rows = Math.max(rows, cell.row + 1);
+    return {
+      x: cell.col * columnWidth + (columnWidth - blockWidth) / 2,
+      y: -size - cell.row * rowStep,
+      colorIndex: colors[i],
+      width: blockWidth,
+      height: size,
+      vx: 0,
+      angle: 0,
+      rotateSpeed: 0,
+    };
+  });
+  return { obstacles, length: (rows - 1) * rowStep };
+}
+
+export function patternErrors(pattern) {
+  const errors = [];
+  if (!pattern || typeof pattern !== 'object') return ['must be an object'];
+  if (!SHAPES.includes(pattern.shape)) errors.push(`shape must be one of: ${SHAPES.join(', ')}`);
+  if (!COLORINGS.includes(pattern.coloring)) errors.push(`coloring must be one of: ${COLORINGS.join(', ')}`);
+  for (const key of ['length', 'rows']) {
+    if (pattern[key] !== undefined && !(Number.isInteger(pattern[key]) && pattern[key] > 0)) {
+      errors.push(`${key} must be a positive integer`);
+    }
+  }
+  if (pattern.spacing !== undefined && !(typeof pattern.spacing === 'number' && pattern.spacing >= 1)) {
+    errors.push('spacing must be at least 1');
+  }
+  return errors;
+}
+
+for (const [id, pattern] of Object.entries(PATTERNS)) {
+  const errors = patternErrors(pattern);
+  if (errors.length) throw new Error(`Invalid pattern ${id}: ${errors.join('; ')}`);
+}
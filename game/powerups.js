@@ -0,0 +1,89 @@
+// Power-up pickups. Pickups fall like obstacles (they carry a `powerup` key
+// instead of a colour) and are spawned through the 'powerup' entry of a
+// level's spawn table. Timed effects count down in simulation seconds.
+//
+//   shield   absorbs the next wrong-colour hit
+//   slowmo   scales obstacle speed by speedScale
+//   magnet   pulls blocks of the player's colour towards the player
+//   rainbow  every colour matches
+//
+// icon and cue are presentation hints for the HUD, sounds and haptics.
+
+export const PICKUP_SIZE = 40;
+
+export const POWERUPS = {
+  shield: { duration: 0, icon: '🛡️', color: '#FFD166', cue: { rate: 0.8, haptic: 'heavy' } },
+  slowmo: { duration: 5, speedScale: 0.5, icon: '⏳', color: '#A78BFA', cue: { rate: 0.6, haptic: 'light' } },
+  magnet: { duration: 6, range: 220, pull: 260, icon: '🧲', color: '#F472B6', cue: { rate: 1.2, haptic: 'medium' } },
+  rainbow: { duration: 5, icon: '🌈', color: '#FFFFFF', cue: { rate: 1.5, haptic: 'success' } },
+};
+
+export const POWERUP_KINDS = Object.keys(POWERUPS);
+
+export function createPowerupState() {
+  return { shield: false, slowmo: 0, magnet: 0, rainbow: 0 };
+}
+
+// Kinds whose effect is currently on, for the HUD
+export function activePowerups(powerups) {
+  return POWERUP_KINDS.filter(kind => (kind === 'shield' ? powerups.shield : powerups[kind] > 0));
+}
+
+export function speedScale(powerups) {
+  return powerups.slowmo > 0 ? POWERUPS.slowmo.speedScale : 1;
+}
+
+export function pickPowerup(weights, rng) {
+  const entries = Object.entries(weights ?? {}).filter(([, w]) => w > 0);
+  if (entries.length === 0) return POWERUP_KINDS[rng.int(POWERUP_KINDS.length)];
+  const total = entries.reduce((sum, [, w]) => sum + w, 0);
+  let roll = rng.next() * total;
+  for (const [kind, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return kind;
+  }
+  return entries[entries.length - 1][0];
+}
+
+export function createPickup(kind, x) {
+  return {
+    x,
+    y: -PICKUP_SIZE,
+    powerup: kind,
+    colorIndex: -1,
+    width: PICKUP_SIZE,
+    height: PICKUP_SIZE,
+    vx: 0,
+    angle: 0,
+    rotateSpeed: 0,
+  };
+}
+
+// Collecting refreshes a timed effect rather than stacking it
+export function applyPowerup(powerups, kind) {
+  if (kind === 'shield') return { ...powerups, shield: true };
+  return { ...powerups, [kind]: POWERUPS[kind].duration };
+}
+
+// Count timed effects down, pushing a 'powerupEnd' event for each that runs out
+export function tickPowerups(powerups, dt, events) {
+  let next = powerups;
+  for (const kind of POWERUP_KINDS) {
+    if (kind === 'shield' || powerups[kind] <= 0) continue;
+    const remaining = Math.max(0, powerups[kind] - dt);
+    if (next === powerups) next = { ...powerups };
+    next[kind] = remaining;
+    if (remaining === 0) events.push({ type: 'powerupEnd', kind });
+  }
+  return next;
+}
+
+// Horizontal nudge a magnet applies to a block this step
+export function magnetPull(obs, player, playerSize, dt) {
+  const { range, pull } = POWERUPS.magnet;
+  const dx = player.x + playerSize / 2 - (obs.x + obs.width / 2);
+  const dy = player.y - obs.y;
+  if (dy < 0 || Math.hypot(dx, dy) > range) return 0;
+  const max = pull * dt;
+  return Math.max(-max, Math.min(max, dx));
+}
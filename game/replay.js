@@ -0,0 +1,178 @@
+// Replays. The engine is deterministic, so a run is fully described by how
+// it started and the input each step received:
+//
+//   { version, seed, mode, lives, levels, stepDt, steps, inputs, marks, result, date }
+//
+//   levels  the run's level definitions when they aren't the stock LEVELS
+//           (challenges bring their own), otherwise null
+//   inputs  [step, axis, actions] for every step that had any input, with
+//           actions packed as [code, value] pairs (see ACTION_CODES)
+//   marks   [step, type] for what happens between steps: 'advance' leaves a
+//           level-complete pause, 'quit' ends the run from one, 'pause' is
+//           the player pausing (shown on the timeline, not simulated)
+//   result  score, level, duration and end reason the run finished with
+//
+// Inputs are rounded as they are recorded and the rounded values are what
+// the live engine steps with, so playback sees exactly the same numbers.
+import { createGame, step, advanceLevel, endRun } from './engine';
+import { EMPTY_INPUT } from './input';
+import { STEP_DT } from './loop';
+import { MODES } from './modes';
+import { LEVELS, validateLevels } from './levels';
+
+export const REPLAY_VERSION = 1;
+// Playback keeps a copy of the engine state this often so scrubbing back
+// only re-simulates from the nearest one
+const CHECKPOINT_STEPS = 300;
+
+const ACTION_CODES = { setPosition: 'p', cycleColor: 'c', selectColor: 's' };
+const ACTION_FIELDS = { setPosition: 'x', cycleColor: 'direction', selectColor: 'index' };
+const ACTION_TYPES = Object.fromEntries(Object.entries(ACTION_CODES).map(([type, code]) => [code, type]));
+
+const round = (value, places) => Math.round(value * places) / places;
+
+// Input as the engine should see it: positions to 1/100 px, axis to 1/1000,
+// and only actions the engine understands
+export function quantizeInput(input) {
+  const actions = [];
+  for (const action of input.actions) {
+    const field = ACTION_FIELDS[action.type];
+    if (!field || !Number.isFinite(action[field])) continue;
+    const value = action.type === 'setPosition' ? round(action.x, 100) : action[field];
+    actions.push({ type: action.type, [field]: value });
+  }
+  return { axis: round(input.axis, 1000), actions };
+}
+
+const packAction = (action) => [ACTION_CODES[action.type], action[ACTION_FIELDS[action.type]]];
+
+const unpackAction = ([code, value]) => {
+  const type = ACTION_TYPES[code];
+  return { type, [ACTION_FIELDS[type]]: value };
+};
+
+// Records a run as it is played. `saved` is an earlier recorder's snapshot(),
+// for runs resumed after the app was suspended.
+export function createRecorder({ seed, mode, lives, levels = null }, saved = null) {
+  let steps = saved?.steps ?? 0;
+  const inputs = saved ? [...saved.inputs] : [];
+  const marks = saved ? [...saved.marks] : [];
+
+  // Log the input for the next step; returns the input to step the engine with
+  const record = (input) => {
+    const quantized = quantizeInput(input);
+    if (quantized.axis !== 0 || quantized.actions.length) {
+      inputs.push([steps, quantized.axis, quantized.actions.map(packAction)]);
+    }
+    steps += 1;
+    return quantized;
+  };
+
+  const mark = (type) => {
+    marks.push([steps, type]);
+  };
+
+  const snapshot = () => ({ seed, mode, lives, levels, steps, inputs: [...inputs], marks: [...marks] });
+
+  const toReplay = (result) => ({
+    version: REPLAY_VERSION,
+    seed,
+    mode,
+    lives,
+    levels,
+    stepDt: STEP_DT,
+    steps,
+    inputs: [...inputs],
+    marks: [...marks],
+    result: { score: result.score, level: result.level, duration: result.duration, reason: result.reason },
+    date: new Date().toISOString(),
+  });
+
+  return { record, mark, snapshot, toReplay };
+}
+
+const validLevels = (levels) => {
+  try {
+    validateLevels(levels);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isStepList = (list, check) =>
+  Array.isArray(list) && list.every(item => Array.isArray(item) && Number.isInteger(item[0]) && check(item));
+
+// Whether a value read from storage or a file is a replay this build can play
+export function isReplay(replay) {
+  return (
+    replay !== null &&
+    typeof replay === 'object' &&
+    replay.version === REPLAY_VERSION &&
+    Number.isInteger(replay.seed) &&
+    Boolean(MODES[replay.mode]) &&
+    (replay.lives === null || Number.isInteger(replay.lives)) &&
+    (replay.levels == null || validLevels(replay.levels)) &&
+    replay.stepDt > 0 &&
+    Number.isInteger(replay.steps) &&
+    isStepList(replay.inputs, ([, axis, actions]) =>
+      typeof axis === 'number' && Array.isArray(actions) && actions.every(a => Boolean(ACTION_TYPES[a?.[0]]))) &&
+    isStepList(replay.marks, ([, type]) => typeof type === 'string')
+  );
+}
+
+// Steps a fresh engine through a replay. seek() moves to any step, backwards
+// included; state() is the engine state after that many steps.
+export function createPlayback(replay, { width, height }) {
+  const inputsAt = new Map(replay.inputs.map(([at, axis, actions]) => [at, { axis, actions: actions.map(unpackAction) }]));
+  const marksAt = new Map();
+  for (const [at, type] of replay.marks) marksAt.set(at, [...(marksAt.get(at) ?? []), type]);
+
+  const applyMarks = (state, at) => {
+    let next = state;
+    for (const type of marksAt.get(at) ?? []) {
+      if (type === 'advance') next = advanceLevel(next);
+      else if (type === 'quit') next = endRun(next, 'quit');
+    }
+    return next;
+  };
+
+  let state = createGame({
+    seed: replay.seed,
+    mode: replay.mode,
+    lives: replay.lives,
+    levels: replay.levels ?? LEVELS,
+    width,
+    height,
+  });
+  let at = 0;
+  const checkpoints = [state];
+
+  const advance = () => {
+    state = step(applyMarks(state, at), inputsAt.get(at) ?? EMPTY_INPUT, replay.stepDt);
+    at += 1;
+    if (at % CHECKPOINT_STEPS === 0) checkpoints[at / CHECKPOINT_STEPS] = state;
+  };
+
+  const seek = (target) => {
+    const to = Math.max(0, Math.min(replay.steps, Math.round(target)));
+    // Jump to the closest checkpoint at or before the target when that saves work
+    const index = Math.min(Math.floor(to / CHECKPOINT_STEPS), checkpoints.length - 1);
+    if (to < at || index * CHECKPOINT_STEPS > at) {
+      state = checkpoints[index];
+      at = index * CHECKPOINT_STEPS;
+    }
+    while (at < to) advance();
+    return current();
+  };
+
+  // Marks after the final step (a quit) only show once playback reaches the end
+  const current = () => (at === replay.steps ? applyMarks(state, at) : state);
+
+  return {
+    seek,
+    state: current,
+    position: () => at,
+    length: replay.steps,
+  };
+}
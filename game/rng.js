@@ -0,0 +1,44 @@
+// Small seeded PRNG (mulberry32). The whole generator state is a single
+// 32-bit integer so it can be stored in engine state and snapshots.
+
+export function normalizeSeed(seed) {
+  if (typeof seed === 'string') return hashString(seed);
+  const n = Math.floor(Number(seed));
+  return Number.isFinite(n) ? n >>> 0 : 0;
+}
+
+// FNV-1a, used to turn text seeds (dates, share codes) into numbers
+export function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 0xffffffff) >>> 0;
+}
+
+export function createRng(state) {
+  let s = normalizeSeed(state);
+
+  const next = () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    // Float in [min, max)
+    range: (min, max) => min + next() * (max - min),
+    // Integer in [0, n)
+    int: (n) => Math.floor(next() * n),
+    sign: () => (next() < 0.5 ? -1 : 1),
+    getState: () => s,
+  };
+}
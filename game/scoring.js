@@ -0,0 +1,46 @@
+// Scoring rules. Every caught block is worth one point plus a speed bonus,
+// multiplied by the current combo. Dodging a wrong-colour block by a hair
+// earns a flat near-miss bonus. Level progress counts matches, not points,
+// so big combos never skip levels.
+
+export const MAX_MULTIPLIER = 5;
+export const COMBO_STEP = 3; // matches per multiplier step
+export const FAST_SPEED = 600; // pixels per second
+export const NEAR_MISS_DISTANCE = 14; // pixels between edges
+export const NEAR_MISS_POINTS = 2;
+
+export function createBreakdown() {
+  return { match: 0, combo: 0, speed: 0, nearMiss: 0, penalty: 0 };
+}
+
+export const BREAKDOWN_LABELS = {
+  match: 'Matches',
+  combo: 'Combo bonus',
+  speed: 'Speed bonus',
+  nearMiss: 'Near misses',
+  penalty: 'Penalties',
+};
+
+// combo is the number of consecutive matches including this one
+export function multiplierFor(combo) {
+  return Math.min(MAX_MULTIPLIER, 1 + Math.floor((combo - 1) / COMBO_STEP));
+}
+
+// One extra point per FAST_SPEED of effective fall speed
+export function speedBonus(speed) {
+  return Math.floor(speed / FAST_SPEED);
+}
+
+// Points for one caught block, split by source for the game-over breakdown
+export function scoreMatch(combo, speed) {
+  const multiplier = multiplierFor(combo);
+  const bonus = speedBonus(speed);
+  const points = (1 + bonus) * multiplier;
+  return { points, multiplier, parts: { match: 1, speed: bonus, combo: points - 1 - bonus } };
+}
+
+export function addToBreakdown(breakdown, parts) {
+  const next = { ...breakdown };
+  for (const [key, value] of Object.entries(parts)) next[key] += value;
+  return next;
+}
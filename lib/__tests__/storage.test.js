@@ -0,0 +1,110 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import { createStore, createMemoryBackend, SAVE_KEY, BACKUP_KEY, CURRENT_VERSION, defaultData } from '../storage';
+import { DEFAULT_MODE } from '../../game/modes';
+
+// The module also builds the app's store on AsyncStorage, which has no native side here
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const WRITE_DELAY = 100;
+
+const saved = (backend, key = SAVE_KEY) => JSON.parse(backend.items.get(key));
+
+const saveDocument = (data) => JSON.stringify({ version: CURRENT_VERSION, data: { ...defaultData(), ...data } });
+
+describe('createStore', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('imports the legacy HIGH_SCORE key and removes it', async () => {
+    const backend = createMemoryBackend({ HIGH_SCORE: '120', LAST_PLAYER_NAME: 'Sam' });
+    const data = await createStore({ backend }).load();
+
+    expect(data.leaderboard[DEFAULT_MODE]).toEqual([expect.objectContaining({ name: 'Player', score: 120 })]);
+    expect(data.profile.lastName).toBe('Sam');
+    expect(backend.items.has('HIGH_SCORE')).toBe(false);
+    expect(backend.items.has('LAST_PLAYER_NAME')).toBe(false);
+    expect(saved(backend)).toEqual({ version: CURRENT_VERSION, data });
+  });
+
+  it('recovers from a corrupt main copy through the backup', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const backup = saveDocument({ stats: { runsPlayed: 7, playTime: 300 } });
+    const backend = createMemoryBackend({ [SAVE_KEY]: '{"version":1,"da', [BACKUP_KEY]: backup });
+    const data = await createStore({ backend }).load();
+
+    expect(data.stats).toEqual({ runsPlayed: 7, playTime: 300 });
+    // The main copy is rewritten from the backup
+    expect(backend.items.get(SAVE_KEY)).toBe(backup);
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('debounces updates into one write', async () => {
+    jest.useFakeTimers();
+    const backend = createMemoryBackend({ [SAVE_KEY]: saveDocument({}) });
+    const multiSet = jest.spyOn(backend, 'multiSet');
+    const store = createStore({ backend, writeDelay: WRITE_DELAY });
+    await store.load();
+
+    store.update(data => ({ ...data, profile: { lastName: 'A' } }));
+    jest.advanceTimersByTime(WRITE_DELAY - 1);
+    store.update(data => ({ ...data, profile: { lastName: 'B' } }));
+    jest.advanceTimersByTime(WRITE_DELAY - 1);
+    expect(multiSet).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    await store.flush();
+    expect(multiSet).toHaveBeenCalledTimes(1);
+    expect(saved(backend).data.profile.lastName).toBe('B');
+    // The document it replaced becomes the backup
+    expect(saved(backend, BACKUP_KEY).data.profile.lastName).toBe('');
+  });
+
+  it('chains writes so they land in order', async () => {
+    const backend = createMemoryBackend({ [SAVE_KEY]: saveDocument({}) });
+    const written = [];
+    const multiSet = backend.multiSet;
+    let started;
+    const firstStarted = new Promise(resolve => { started = resolve; });
+    // The first write is the slowest, so an unchained second one would land first
+    let delay = 30;
+    backend.multiSet = async (pairs) => {
+      const wait = delay;
+      delay = 0;
+      started();
+      await new Promise(resolve => setTimeout(resolve, wait));
+      written.push(JSON.parse(pairs[0][1]).data.profile.lastName);
+      return multiSet(pairs);
+    };
+    const store = createStore({ backend, writeDelay: WRITE_DELAY });
+    await store.load();
+
+    store.update(data => ({ ...data, profile: { lastName: 'first' } }));
+    const first = store.flush();
+    await firstStarted;
+    store.update(data => ({ ...data, profile: { lastName: 'second' } }));
+    await Promise.all([first, store.flush()]);
+
+    expect(written).toEqual(['first', 'second']);
+    expect(saved(backend).data.profile.lastName).toBe('second');
+    expect(saved(backend, BACKUP_KEY).data.profile.lastName).toBe('first');
+  });
+
+  it('never writes over save data from a newer version', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const newer = JSON.stringify({ version: CURRENT_VERSION + 1, data: { somethingNew: true } });
+    const backend = createMemoryBackend({ [SAVE_KEY]: newer });
+    const store = createStore({ backend, writeDelay: WRITE_DELAY });
+
+    expect(await store.load()).toEqual(defaultData());
+    store.update(data => ({ ...data, profile: { lastName: 'A' } }));
+    await store.flush();
+
+    expect(backend.items.get(SAVE_KEY)).toBe(newer);
+    expect(backend.items.has(BACKUP_KEY)).toBe(false);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,154 @@
+// All game audio goes through one manager. Every sound is loaded once up
+// front; each SFX keeps a few voices so quick repeats overlap instead of
+// cutting each other off. Music tracks crossfade when the track changes and
+// duck briefly under SFX. Missing assets or audio errors are ignored: the
+// game simply plays without that sound.
+import { Audio } from 'expo-av';
+
+const POINT = require('../assets/sounds/point.wav');
+const BACKGROUND = require('../assets/sounds/background.wav');
+
+// rate pitches the shared point sound so each event is distinct
+export const SOUNDS = {
+  score: { source: POINT, voices: 4 },
+  nearMiss: { source: POINT, rate: 1.4, volume: 0.5, voices: 2 },
+  colorChange: { source: POINT, rate: 2, volume: 0.3, voices: 2 },
+  powerup: { source: POINT, voices: 2 }, // played at the power-up's cue rate
+  powerupEnd: { source: POINT, rate: 0.7, volume: 0.5 },
+  shieldBreak: { source: POINT, rate: 0.5 },
+  lifeLost: { source: POINT, rate: 0.45 },
+  levelUp: { source: POINT, rate: 1.25 },
+  levelComplete: { source: POINT, rate: 1.25 },
+  gameOver: { source: POINT, rate: 0.35 },
+};
+
+export const TRACKS = {
+  menu: { source: BACKGROUND, rate: 0.85, volume: 0.6 },
+  game: { source: BACKGROUND, volume: 1 },
+};
+
+const CROSSFADE_MS = 800;
+const FADE_TICK_MS = 50;
+const DUCK_LEVEL = 0.4;
+const DUCK_MS = 250;
+
+export function createAudioManager() {
+  const voices = {}; // sound name -> { sounds, next }
+  const music = {}; // track name -> Sound
+  const gains = {}; // track name -> crossfade gain 0..1
+  const volumes = { music: 1, sfx: 1 };
+  let current = null;
+  let duck = 1;
+  let duckTimer = null;
+  let fadeTimer = null;
+  let loading = null;
+
+  const quietly = (promise) => promise?.catch?.(() => {});
+
+  const applyMusicVolume = () => {
+    for (const [name, sound] of Object.entries(music)) {
+      quietly(sound.setVolumeAsync(volumes.music * TRACKS[name].volume * gains[name] * duck));
+    }
+  };
+
+  const load = async () => {
+    try {
+      await Audio.setAudioModeAsync({ playsInSilentModeIOS: true });
+    } catch {}
+    for (const [name, def] of Object.entries(SOUNDS)) {
+      const sounds = [];
+      for (let i = 0; i < (def.voices ?? 1); i++) {
+        try {
+          const { sound } = await Audio.Sound.createAsync(def.source);
+          sounds.push(sound);
+        } catch {}
+      }
+      voices[name] = { sounds, next: 0 };
+    }
+    for (const [name, def] of Object.entries(TRACKS)) {
+      try {
+        const { sound } = await Audio.Sound.createAsync(def.source, {
+          isLooping: true,
+          volume: 0,
+          rate: def.rate ?? 1,
+          shouldCorrectPitch: false,
+        });
+        music[name] = sound;
+        gains[name] = 0;
+      } catch {}
+    }
+    // A track requested while loading starts now
+    if (current && music[current]) {
+      const track = current;
+      current = null;
+      playMusic(track);
+    }
+  };
+
+  // Safe to call repeatedly; everything loads once
+  const preload = () => {
+    loading ??= load();
+    return loading;
+  };
+
+  // name: key of SOUNDS; rate overrides the sound's own rate
+  const play = (name, { rate } = {}) => {
+    const def = SOUNDS[name];
+    const pool = voices[name];
+    if (!def || !pool?.sounds.length || volumes.sfx <= 0) return;
+    const sound = pool.sounds[pool.next];
+    pool.next = (pool.next + 1) % pool.sounds.length;
+    quietly(sound.setStatusAsync({
+      positionMillis: 0,
+      shouldPlay: true,
+      rate: rate ?? def.rate ?? 1,
+      shouldCorrectPitch: false,
+      volume: volumes.sfx * (def.volume ?? 1),
+    }));
+
+    duck = DUCK_LEVEL;
+    applyMusicVolume();
+    clearTimeout(duckTimer);
+    duckTimer = setTimeout(() => {
+      duck = 1;
+      applyMusicVolume();
+    }, DUCK_MS);
+  };
+
+  // Crossfade to a key of TRACKS, or fade out with null
+  const playMusic = (track) => {
+    if (track === current) return;
+    current = track;
+    const incoming = music[track];
+    if (incoming) quietly(incoming.playAsync());
+
+    clearInterval(fadeTimer);
+    const start = { ...gains };
+    const started = Date.now();
+    fadeTimer = setInterval(() => {
+      const t = Math.min(1, (Date.now() - started) / CROSSFADE_MS);
+      for (const name of Object.keys(music)) {
+        const target = name === current ? 1 : 0;
+        gains[name] = start[name] + (target - start[name]) * t;
+      }
+      applyMusicVolume();
+      if (t < 1) return;
+      clearInterval(fadeTimer);
+      fadeTimer = null;
+      for (const [name, sound] of Object.entries(music)) {
+        if (name !== current) quietly(sound.pauseAsync());
+      }
+    }, FADE_TICK_MS);
+  };
+
+  // music, sfx: 0..1 from settings
+  const setVolumes = ({ music: musicVolume, sfx }) => {
+    if (typeof musicVolume === 'number') volumes.music = musicVolume;
+    if (typeof sfx === 'number') volumes.sfx = sfx;
+    applyMusicVolume();
+  };
+
+  return { preload, play, playMusic, setVolumes };
+}
+
+export const audio = createAudioManager();
@@ -0,0 +1,76 @@
+// Challenge links: colordash://challenge?seed=&mode=&target= opens a run on
+// the sender's seed and mode with their score as the target. Optional
+// parameters carry the rest of the ruleset:
+//
+//   lives      1-9 lives, for modes that allow them; absent means one hit
+//   challenge  a daily or weekly challenge id, whose seed and mode must match;
+//              only today's or earlier, since later ones can't be played yet
+//
+// Everything arrives as untrusted text, so parseChallengeLink checks every
+// field and reports the first problem instead of guessing.
+import * as Linking from 'expo-linking';
+import { MODES, getMode } from '../game/modes';
+import { challengeFromId, isUpcoming } from '../game/challenges';
+
+const MAX_SEED = 0xffffffff;
+const MAX_TARGET = 999999999;
+const MAX_LIVES = 9;
+
+const UINT = /^\d{1,10}$/;
+
+// A single query value; repeated parameters count as malformed
+const single = (value) => (Array.isArray(value) ? null : value ?? undefined);
+
+const parseUint = (value, max) => (UINT.test(value) && Number(value) <= max ? Number(value) : null);
+
+// params: query parameters as strings. Returns { link } with
+// { seed, mode, target, lives, challenge } or { error } with a reason the
+// player can read.
+export function parseChallengeLink(params) {
+  const raw = {};
+  for (const key of ['seed', 'mode', 'target', 'lives', 'challenge']) {
+    raw[key] = single(params?.[key]);
+    if (raw[key] === null) return { error: `The link repeats "${key}".` };
+  }
+
+  const seed = parseUint(raw.seed, MAX_SEED);
+  if (seed === null) return { error: 'The link has no valid seed.' };
+  if (!Object.hasOwn(MODES, raw.mode ?? '')) return { error: 'The link names a game mode this version doesn’t have.' };
+  const mode = raw.mode;
+
+  let target = null;
+  if (raw.target !== undefined) {
+    target = parseUint(raw.target, MAX_TARGET);
+    if (target === null) return { error: 'The target score in the link isn’t a valid number.' };
+  }
+
+  let lives = null;
+  if (raw.lives !== undefined) {
+    lives = parseUint(raw.lives, MAX_LIVES);
+    if (!lives || !getMode(mode).allowLives) return { error: 'The lives setting in the link isn’t valid for this mode.' };
+  }
+
+  let challenge = null;
+  if (raw.challenge !== undefined) {
+    challenge = challengeFromId(raw.challenge);
+    if (!challenge || challenge.seed !== seed || challenge.mode !== mode || challenge.lives !== lives) {
+      return { error: 'The challenge in the link doesn’t match its settings.' };
+    }
+    if (isUpcoming(challenge)) return { error: 'The challenge in the link hasn’t started yet.' };
+  }
+
+  return { link: { seed, mode, target, lives, challenge } };
+}
+
+// Query parameters for a link to a run, as parseChallengeLink reads them
+export function challengeLinkParams({ seed, mode, target, lives = null, challenge = null }) {
+  const params = { seed: String(seed), mode, target: String(target) };
+  if (lives) params.lives = String(lives);
+  if (challenge) params.challenge = challenge.id;
+  return params;
+}
+
+// Full URL for this build: the colordash:// scheme in apps, the site on the web
+export function buildChallengeLink(run) {
+  return Linking.createURL('challenge', { queryParams: challengeLinkParams(run) });
+}
@@ -0,0 +1,65 @@
+// Challenge progress, stored under `challenges` in the save document:
+//
+//   { best: { [challengeId]: score }, streak: { current, longest, lastDay } }
+//
+// Only the MAX_CHALLENGE_BESTS most recent challenges keep a best score. The
+// streak counts consecutive days with a finished daily challenge; lastDay is
+// the dayKey() of the latest one.
+import { daysBetween, dayKey, isUpcoming } from '../game/challenges';
+
+export const MAX_CHALLENGE_BESTS = 60;
+
+export function defaultProgress() {
+  return { best: {}, streak: { current: 0, longest: 0, lastDay: null } };
+}
+
+const count = (n) => (Number.isInteger(n) && n >= 0 ? n : 0);
+
+export function sanitizeProgress(value) {
+  const progress = defaultProgress();
+  if (!value || typeof value !== 'object') return progress;
+  if (value.best && typeof value.best === 'object') {
+    for (const [id, score] of Object.entries(value.best)) {
+      if (typeof score === 'number' && Number.isFinite(score)) progress.best[id] = score;
+    }
+  }
+  const streak = value.streak ?? {};
+  progress.streak = {
+    current: count(streak.current),
+    longest: count(streak.longest),
+    lastDay: typeof streak.lastDay === 'string' ? streak.lastDay : null,
+  };
+  return progress;
+}
+
+// The streak as of `today`: it lapses once a whole day passes without a daily
+export function currentStreak(streak, today) {
+  if (!streak.lastDay) return 0;
+  return daysBetween(streak.lastDay, today) <= 1 ? streak.current : 0;
+}
+
+// Progress after finishing a run of `challenge` with `score`, in a run
+// started on the dayKey() `startedOn`. A daily only moves the streak when it
+// was played on its own day (finishing after midnight is fine); an older one,
+// say from a link, only sets a best. Challenges from days or weeks after
+// `date` don't count at all: their day would block the streak until it came
+// round.
+export function recordChallenge(progress, challenge, score, { date = new Date(), startedOn = dayKey(date) } = {}) {
+  if (isUpcoming(challenge, date)) return progress;
+  const best = { ...progress.best };
+  if (!(best[challenge.id] >= score)) {
+    delete best[challenge.id];
+    best[challenge.id] = score;
+  }
+  // Keys keep insertion order, so the oldest challenges go first
+  const ids = Object.keys(best);
+  for (const id of ids.slice(0, Math.max(0, ids.length - MAX_CHALLENGE_BESTS))) delete best[id];
+
+  let streak = progress.streak;
+  const day = challenge.key;
+  if (challenge.kind === 'daily' && startedOn === day && (!streak.lastDay || daysBetween(streak.lastDay, day) > 0)) {
+    const current = currentStreak(streak, day) + 1;
+    streak = { current, longest: Math.max(streak.longest, current), lastDay: day };
+  }
+  return { best, streak };
+}
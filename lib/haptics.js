@@ -0,0 +1,31 @@
+import * as Haptics from 'expo-haptics';
+
+// Impact cues step up or down one strength with the intensity setting;
+// selection and notification cues have no strength and only obey the toggle.
+const IMPACTS = [
+  Haptics.ImpactFeedbackStyle.Light,
+  Haptics.ImpactFeedbackStyle.Medium,
+  Haptics.ImpactFeedbackStyle.Heavy,
+];
+const IMPACT_CUES = { light: 0, medium: 1, heavy: 2 };
+const INTENSITY_SHIFT = { light: -1, medium: 0, strong: 1 };
+const NOTIFICATION_CUES = {
+  success: Haptics.NotificationFeedbackType.Success,
+  warning: Haptics.NotificationFeedbackType.Warning,
+  error: Haptics.NotificationFeedbackType.Error,
+};
+
+// cue: 'light' | 'medium' | 'heavy' | 'selection' | 'success' | 'warning' | 'error'
+export function playHaptic(cue, { haptics, hapticIntensity }) {
+  if (!haptics) return;
+  try {
+    if (cue in IMPACT_CUES) {
+      const level = IMPACT_CUES[cue] + (INTENSITY_SHIFT[hapticIntensity] ?? 0);
+      Haptics.impactAsync(IMPACTS[Math.min(IMPACTS.length - 1, Math.max(0, level))]);
+    } else if (cue === 'selection') {
+      Haptics.selectionAsync();
+    } else if (cue in NOTIFICATION_CUES) {
+      Haptics.notificationAsync(NOTIFICATION_CUES[cue]);
+    }
+  } catch {}
+}
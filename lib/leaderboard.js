@@ -0,0 +1,67 @@
+// Local leaderboard: the best LEADERBOARD_SIZE runs for every mode.
+// The board is a plain object { [mode]: Entry[] } with entries sorted best
+// first. Entry: { id, name, score, level, duration, date, seed, replayId }
+// Persistence is handled by the save document in storage.js.
+
+export const LEADERBOARD_SIZE = 10;
+export const MAX_NAME_LENGTH = 16;
+
+const byScore = (a, b) => b.score - a.score || (a.date ?? '').localeCompare(b.date ?? '');
+
+export function entriesFor(board, mode) {
+  return board[mode] ?? [];
+}
+
+export function highScoresFrom(board) {
+  const scores = {};
+  for (const [mode, entries] of Object.entries(board)) {
+    if (entries.length) scores[mode] = entries[0].score;
+  }
+  return scores;
+}
+
+export function qualifies(board, mode, score) {
+  if (score <= 0) return false;
+  const entries = entriesFor(board, mode);
+  return entries.length < LEADERBOARD_SIZE || score > entries[entries.length - 1].score;
+}
+
+export function cleanName(name) {
+  const trimmed = String(name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+  return trimmed || 'Player';
+}
+
+// Build an entry from the engine's run result
+export function entryFromResult(result, name) {
+  return {
+    id: `${Date.now()}-${Math.floor(Math.random() * 1e6)}`,
+    name: cleanName(name),
+    score: result.score,
+    level: result.level,
+    duration: Math.round(result.duration),
+    date: new Date().toISOString(),
+    seed: result.seed,
+    replayId: result.replayId ?? null,
+  };
+}
+
+export function addEntry(board, mode, entry) {
+  const entries = [...entriesFor(board, mode), entry].sort(byScore).slice(0, LEADERBOARD_SIZE);
+  return { ...board, [mode]: entries };
+}
+
+function isEntry(entry) {
+  return entry && typeof entry.name === 'string' && typeof entry.score === 'number' && !Number.isNaN(entry.score);
+}
+
+// Drop anything that isn't a well-formed entry list, keeping boards read
+// from storage sorted and trimmed
+export function sanitizeBoard(value) {
+  const board = {};
+  if (value && typeof value === 'object') {
+    for (const [mode, entries] of Object.entries(value)) {
+      if (Array.isArray(entries)) board[mode] = entries.filter(isEntry).sort(byScore).slice(0, LEADERBOARD_SIZE);
+    }
+  }
+  return board;
+}
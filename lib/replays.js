@@ -0,0 +1,144 @@
+// Saved replays (see game/replay.js for the format). A replay can run to
+// megabytes, so each one is stored under its own key and the save document
+// only holds an index, newest first:
+//
+//   data.replays: [{ id, mode, seed, score, date }]
+//
+// Replays a leaderboard entry points at (entry.replayId) are kept for as
+// long as the entry, and the best run on each of the MAX_GHOSTS most
+// recently played seeds is kept to race as a ghost. Of the rest only the
+// newest MAX_RECENT_REPLAYS survive.
+//
+// The partial recording of a run suspended by backgrounding is kept the same
+// way, under SUSPENDED_RECORDING_ID; the save document's suspendedRun only
+// refers to it.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+import * as Sharing from 'expo-sharing';
+import { File, Paths } from 'expo-file-system';
+import { isReplay } from '../game/replay';
+import { saveStore } from './storage';
+
+export const REPLAY_KEY_PREFIX = 'COLORDASH_REPLAY:';
+export const MAX_RECENT_REPLAYS = 5;
+export const MAX_GHOSTS = 20;
+export const SUSPENDED_RECORDING_ID = 'suspended';
+
+const replayKey = (id) => `${REPLAY_KEY_PREFIX}${id}`;
+
+export const createReplayId = () => `${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
+
+// The best index item for every mode and seed, most recently played first
+function bestPerSeed(index) {
+  const best = new Map();
+  for (const item of index) {
+    if (item.seed == null) continue;
+    const key = `${item.mode}:${item.seed}`;
+    if (!best.has(key) || item.score > best.get(key).score) best.set(key, item);
+  }
+  return [...best.values()];
+}
+
+export function replaysToKeep(index, board) {
+  const referenced = new Set(Object.values(board).flat().map(entry => entry.replayId).filter(Boolean));
+  const ghosts = new Set(bestPerSeed(index).slice(0, MAX_GHOSTS));
+  return index.filter((item, i) => i < MAX_RECENT_REPLAYS || referenced.has(item.id) || ghosts.has(item));
+}
+
+// Index item of the best saved run on a seed in a mode, or null
+export function bestReplayFor(index, mode, seed) {
+  return bestPerSeed(index).find(item => item.mode === mode && item.seed === seed) ?? null;
+}
+
+export async function saveReplay(id, replay) {
+  try {
+    await AsyncStorage.setItem(replayKey(id), JSON.stringify(replay));
+    let dropped = [];
+    saveStore.update(data => {
+      const index = [
+        { id, mode: replay.mode, seed: replay.seed, score: replay.result.score, date: replay.date },
+        ...data.replays,
+      ];
+      const kept = replaysToKeep(index, data.leaderboard);
+      dropped = index.filter(item => !kept.includes(item));
+      return { ...data, replays: kept };
+    });
+    if (dropped.length) await AsyncStorage.multiRemove(dropped.map(item => replayKey(item.id)));
+  } catch (e) {
+    console.warn('Failed to save replay:', e?.message || String(e));
+  }
+}
+
+// Resolves to null when the replay is gone or unreadable
+export async function loadReplay(id) {
+  try {
+    const replay = JSON.parse(await AsyncStorage.getItem(replayKey(id)));
+    return isReplay(replay) ? replay : null;
+  } catch (e) {
+    console.warn('Failed to load replay:', e?.message || String(e));
+    return null;
+  }
+}
+
+// A recorder snapshot() of a suspended run. Resolves to whether it was saved.
+export async function saveSuspendedRecording(recording) {
+  try {
+    await AsyncStorage.setItem(replayKey(SUSPENDED_RECORDING_ID), JSON.stringify(recording));
+    return true;
+  } catch (e) {
+    console.warn('Failed to save recording:', e?.message || String(e));
+    return false;
+  }
+}
+
+// Resolves to null when there is no usable recording
+export async function loadSuspendedRecording() {
+  try {
+    const recording = JSON.parse(await AsyncStorage.getItem(replayKey(SUSPENDED_RECORDING_ID)));
+    const usable = recording && Number.isInteger(recording.steps)
+      && Array.isArray(recording.inputs) && Array.isArray(recording.marks);
+    return usable ? recording : null;
+  } catch (e) {
+    console.warn('Failed to load recording:', e?.message || String(e));
+    return null;
+  }
+}
+
+export async function clearSuspendedRecording() {
+  try {
+    await AsyncStorage.removeItem(replayKey(SUSPENDED_RECORDING_ID));
+  } catch (e) {
+    console.warn('Failed to remove recording:', e?.message || String(e));
+  }
+}
+
+export function replayFileName(replay) {
+  return `colordash-${replay.mode}-${replay.seed}-${replay.result.score}.json`;
+}
+
+// Hand the replay out as a JSON file: a download on the web, the file itself
+// through the share sheet elsewhere. Resolves to whether it got that far.
+export async function exportReplay(replay) {
+  const name = replayFileName(replay);
+  const json = JSON.stringify(replay);
+  try {
+    if (Platform.OS === 'web') {
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = name;
+      link.click();
+      URL.revokeObjectURL(url);
+      return true;
+    }
+    if (!(await Sharing.isAvailableAsync())) return false;
+    const file = new File(Paths.cache, name);
+    file.create({ overwrite: true });
+    file.write(json);
+    await Sharing.shareAsync(file.uri, { mimeType: 'application/json', UTI: 'public.json', dialogTitle: name });
+    return true;
+  } catch (e) {
+    console.warn('Failed to export replay:', e?.message || String(e));
+    return false;
+  }
+}
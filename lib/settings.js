@@ -0,0 +1,58 @@
+// Player preferences, stored under `settings` in the save document (see
+// storage.js). sanitizeSettings fills in defaults and drops anything invalid,
+// so older saves and hand-edited data always read back as a full set.
+import { PALETTE_IDS, DEFAULT_PALETTE } from '../game/palettes';
+
+export const CONTROL_SCHEMES = {
+  drag: 'Drag the ball',
+  swipe: 'Swipe anywhere',
+};
+
+// How the player changes colour, alongside whichever movement scheme is on
+export const COLOR_CONTROLS = {
+  button: 'Change button',
+  palette: 'Palette bar',
+  swipe: 'Flick up/down',
+  halves: 'Tap left/right',
+};
+
+export const HAPTIC_INTENSITIES = ['light', 'medium', 'strong'];
+
+export const DEFAULT_SETTINGS = {
+  musicVolume: 0.6,
+  sfxVolume: 1,
+  haptics: true,
+  hapticIntensity: 'medium',
+  controlScheme: 'drag',
+  colorControl: 'button',
+  leftHanded: false,
+  reducedMotion: false, // no screen shake or particles
+  assistiveControls: false, // on-screen move buttons and colour picker
+  palette: DEFAULT_PALETTE,
+  colorSymbols: false, // a symbol per colour on the player and blocks
+  ghost: true, // race a ghost of your best run when replaying a seed
+};
+
+const volume = (value, fallback) =>
+  (typeof value === 'number' && Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : fallback);
+const flag = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+const oneOf = (value, options, fallback) => (options.includes(value) ? value : fallback);
+
+export function sanitizeSettings(raw) {
+  const s = raw && typeof raw === 'object' ? raw : {};
+  const d = DEFAULT_SETTINGS;
+  return {
+    musicVolume: volume(s.musicVolume, d.musicVolume),
+    sfxVolume: volume(s.sfxVolume, d.sfxVolume),
+    haptics: flag(s.haptics, d.haptics),
+    hapticIntensity: oneOf(s.hapticIntensity, HAPTIC_INTENSITIES, d.hapticIntensity),
+    controlScheme: oneOf(s.controlScheme, Object.keys(CONTROL_SCHEMES), d.controlScheme),
+    colorControl: oneOf(s.colorControl, Object.keys(COLOR_CONTROLS), d.colorControl),
+    leftHanded: flag(s.leftHanded, d.leftHanded),
+    reducedMotion: flag(s.reducedMotion, d.reducedMotion),
+    assistiveControls: flag(s.assistiveControls, d.assistiveControls),
+    palette: oneOf(s.palette, PALETTE_IDS, d.palette),
+    colorSymbols: flag(s.colorSymbols, d.colorSymbols),
+    ghost: flag(s.ghost, d.ghost),
+  };
+}
@@ -0,0 +1,205 @@
+// Versioned save data. Everything the app persists lives in one JSON document
+// under SAVE_KEY:
+//
+//   { version: CURRENT_VERSION, data: { leaderboard, profile, settings, stats, suspendedRun, replays, challenges } }
+//
+// Replays themselves are too large for it and live under their own keys;
+// `replays` only indexes them (see replays.js).
+// When the stored version is older than CURRENT_VERSION the matching
+// MIGRATIONS run in order. Every successful write also keeps the previous
+// document under BACKUP_KEY, and loading falls back to it when the main copy
+// is missing or corrupt. Writes are debounced and go out in a single multiSet.
+// A document from a newer build can't be migrated down, so the store then
+// runs on defaults and never writes, leaving it for that build.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_MODE } from '../game/modes';
+import { addEntry, sanitizeBoard } from './leaderboard';
+import { defaultProgress } from './challenges';
+
+export const SAVE_KEY = 'COLORDASH_SAVE';
+export const BACKUP_KEY = 'COLORDASH_SAVE_BACKUP';
+export const CURRENT_VERSION = 1;
+const WRITE_DELAY_MS = 500;
+
+// Keys written by builds before the save document existed
+export const LEGACY_KEYS = ['HIGH_SCORE', 'HIGH_SCORES', 'LEADERBOARD', 'LAST_PLAYER_NAME'];
+
+export function defaultData() {
+  return {
+    leaderboard: {},
+    profile: { lastName: '' },
+    settings: {},
+    stats: { runsPlayed: 0, playTime: 0 },
+    suspendedRun: null, // engine snapshot of a run interrupted by backgrounding; its recording is kept apart
+    replays: [],
+    challenges: defaultProgress(), // daily and weekly bests and the daily streak
+  };
+}
+
+const parseOr = (raw, fallback) => {
+  if (raw == null) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+// MIGRATIONS[n] upgrades data from version n - 1 to version n. Version 0 is
+// the pre-document layout: `legacy` holds the raw strings of LEGACY_KEYS.
+export const MIGRATIONS = {
+  1: (data, legacy = {}) => {
+    const next = { ...defaultData(), ...data };
+    let board = sanitizeBoard(parseOr(legacy.LEADERBOARD, {}));
+
+    const scores = {};
+    const perMode = parseOr(legacy.HIGH_SCORES, null);
+    if (perMode && typeof perMode === 'object') Object.assign(scores, perMode);
+    const single = parseOr(legacy.HIGH_SCORE, null);
+    if (typeof single === 'number') scores[DEFAULT_MODE] = Math.max(scores[DEFAULT_MODE] ?? 0, single);
+    for (const [mode, score] of Object.entries(scores)) {
+      if (typeof score !== 'number' || Number.isNaN(score) || score <= 0) continue;
+      if ((board[mode] ?? []).some(e => e.score >= score)) continue;
+      board = addEntry(board, mode, {
+        id: `legacy-${mode}`,
+        name: 'Player',
+        score,
+        level: null,
+        duration: null,
+        date: null,
+        seed: null,
+      });
+    }
+
+    next.leaderboard = board;
+    if (typeof legacy.LAST_PLAYER_NAME === 'string') next.profile = { lastName: legacy.LAST_PLAYER_NAME };
+    return next;
+  },
+};
+
+function isDocument(doc) {
+  return (
+    doc !== null &&
+    typeof doc === 'object' &&
+    Number.isInteger(doc.version) &&
+    doc.version >= 0 &&
+    doc.version <= CURRENT_VERSION &&
+    doc.data !== null &&
+    typeof doc.data === 'object'
+  );
+}
+
+const isNewer = (doc) =>
+  doc !== null && typeof doc === 'object' && Number.isInteger(doc.version) && doc.version > CURRENT_VERSION;
+
+export function migrate(doc, legacy) {
+  let { version, data } = doc;
+  while (version < CURRENT_VERSION) {
+    version += 1;
+    data = MIGRATIONS[version](data, legacy);
+  }
+  return { version, data: { ...defaultData(), ...data } };
+}
+
+// backend: anything with AsyncStorage's getItem / multiGet / multiSet /
+// multiRemove, e.g. createMemoryBackend() in tests
+export function createStore({ backend = AsyncStorage, writeDelay = WRITE_DELAY_MS } = {}) {
+  let doc = { version: CURRENT_VERSION, data: defaultData() };
+  let lastWritten = null;
+  let timer = null;
+  let pendingWrite = null;
+  let loading = null;
+  let readOnly = false;
+
+  const read = async () => {
+    const [[, main], [, backup]] = await backend.multiGet([SAVE_KEY, BACKUP_KEY]);
+    const candidates = [parseOr(main, null), parseOr(backup, null)];
+    const stored = candidates.find(candidate => isDocument(candidate) || isNewer(candidate));
+
+    if (isNewer(stored)) {
+      console.warn(`Save data is from a newer version (${stored.version}), leaving it untouched`);
+      readOnly = true;
+      return doc.data;
+    }
+
+    if (stored) {
+      doc = migrate(stored);
+      // Rewrite when we recovered from the backup or upgraded the version
+      if (stored !== candidates[0] || stored.version !== CURRENT_VERSION) await write();
+      else lastWritten = main;
+      return doc.data;
+    }
+
+    if (main != null || backup != null) {
+      console.warn('Save data was unreadable, starting fresh');
+    }
+    const pairs = await backend.multiGet(LEGACY_KEYS);
+    const legacy = Object.fromEntries(pairs.filter(([, value]) => value != null));
+    doc = migrate({ version: 0, data: {} }, legacy);
+    await write();
+    if (Object.keys(legacy).length) await backend.multiRemove(Object.keys(legacy));
+    return doc.data;
+  };
+
+  const write = async () => {
+    if (readOnly) return;
+    const json = JSON.stringify(doc);
+    if (json === lastWritten) return;
+    const pairs = [[SAVE_KEY, json]];
+    if (lastWritten != null) pairs.push([BACKUP_KEY, lastWritten]);
+    await backend.multiSet(pairs);
+    lastWritten = json;
+  };
+
+  const flush = async () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    // Chain writes so two flushes can never interleave
+    pendingWrite = (pendingWrite ?? Promise.resolve()).then(write).catch(e => {
+      console.warn('Failed to write save data:', e?.message || String(e));
+    });
+    return pendingWrite;
+  };
+
+  // updater receives the current data and returns the new data
+  const update = (updater) => {
+    doc = { ...doc, data: updater(doc.data) };
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, writeDelay);
+    return doc.data;
+  };
+
+  // Several screens ask for the data on mount; they all share one read
+  const load = () => {
+    loading ??= read().catch(e => {
+      loading = null;
+      throw e;
+    });
+    return loading;
+  };
+
+  return {
+    load,
+    update,
+    flush,
+    get: () => doc.data,
+  };
+}
+
+// Minimal in-memory stand-in for AsyncStorage
+export function createMemoryBackend(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    items,
+    getItem: async (key) => (items.has(key) ? items.get(key) : null),
+    setItem: async (key, value) => { items.set(key, value); },
+    removeItem: async (key) => { items.delete(key); },
+    multiGet: async (keys) => keys.map(key => [key, items.has(key) ? items.get(key) : null]),
+    multiSet: async (pairs) => { for (const [key, value] of pairs) items.set(key, value); },
+    multiRemove: async (keys) => { for (const key of keys) items.delete(key); },
+  };
+}
+
+export const saveStore = createStore();